@@ -0,0 +1,69 @@
+/**
+ * Compares the envelope modes of the NXO engine: render speed and deviation from the exact curves.
+ *
+ *   pnpm bench [seconds]
+ *
+ * The load is the worst case the synth allows: 16 voices retriggered so every envelope stage
+ * (attack, decay, sustain, release) is always in use. The jazz organ holds at full sustain, so
+ * the church bell, whose partials decay and release over seconds, covers the long curves.
+ */
+import { readFileSync } from "node:fs";
+import { performance } from "node:perf_hooks";
+import { ENVELOPE_MODES } from "../public/ADSR.js";
+import { renderNXO } from "../public/nxo-engine.js";
+
+const SAMPLE_RATE = 48000;
+const VOICES = 16;
+const seconds = Number(process.argv[2] ?? 10);
+
+const presetFile = (name) =>
+  readFileSync(new URL(`../public/presets/${name}`, import.meta.url), "utf8");
+
+// preset scripts are function bodies, exactly as the worker evaluates them
+const organ = new Function(presetFile("jazz-organ.js"))();
+// random starting phases would differ between renders, so every partial starts at 0
+const bell = JSON.parse(presetFile("church-bell.json"));
+for (const harmonic of Object.values(bell.harmonics)) harmonic.phase = 0;
+
+const PRESETS = { "jazz organ": organ, "church bell": bell };
+
+const notes = [];
+for (let time = 0; time < seconds; time += 0.5) {
+  for (let v = 0; v < VOICES; v++) {
+    notes.push({ note: 36 + v * 3, time: time + v * 0.01, duration: 0.4 });
+  }
+}
+
+function render(preset, envelopeMode) {
+  const start = performance.now();
+  const { left } = renderNXO(preset, notes, {
+    sampleRate: SAMPLE_RATE,
+    duration: seconds,
+    envelopeMode,
+  });
+  return { left, elapsed: (performance.now() - start) / 1000 };
+}
+
+// let the JIT settle before timing anything
+for (const mode of ENVELOPE_MODES) render(organ, mode);
+
+const results = Object.entries(PRESETS).flatMap(([name, preset]) => {
+  const reference = render(preset, "exact").left;
+  return ENVELOPE_MODES.map((mode) => {
+    const { left, elapsed } = render(preset, mode);
+    let maxError = 0;
+    for (let i = 0; i < left.length; i++) {
+      maxError = Math.max(maxError, Math.abs(left[i] - reference[i]));
+    }
+    return {
+      preset: name,
+      mode,
+      "render time (s)": Number(elapsed.toFixed(3)),
+      "× realtime": Number((seconds / elapsed).toFixed(1)),
+      "max error vs exact": Number(maxError.toExponential(2)),
+    };
+  });
+});
+
+console.log(`${VOICES} voices, ${seconds} s at ${SAMPLE_RATE} Hz`);
+console.table(results);
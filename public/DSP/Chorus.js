@@ -0,0 +1,93 @@
+// Delay sweep of the `vibrato` mode is centered just above zero, so it adds almost no latency
+const VIBRATO_CENTER_DELAY = 0.0005;
+// `chorus` mode sits further back, where the copy reads as a second voice
+const CHORUS_CENTER_DELAY = 0.007;
+// Longest sweep depth accepted, in seconds
+export const MAX_CHORUS_DEPTH = 0.01;
+
+/**
+ * @typedef {object} ChorusParams
+ * @property {'chorus'|'vibrato'} mode - `vibrato` plays only the swept copy, like an organ's scanner
+ *   in its V settings; `chorus` mixes it with the dry signal (the C settings).
+ * @property {number} rate - Sweep rate in Hz.
+ * @property {number} depth - How far the delay swings either way, in seconds.
+ * @property {number} mix - Share of the swept copy in `chorus` mode, 0–1.
+ */
+
+/**
+ * Stereo chorus / vibrato: each channel reads a delay line at a position swept by a sine,
+ * the right channel a quarter cycle behind the left so the two sides move apart.
+ */
+export default class Chorus {
+  /**
+   * @param {number} sampleRate
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    // the sweep is centered `depth` past the center delay, so it reaches back twice the depth
+    const length = Math.ceil((CHORUS_CENTER_DELAY + 2 * MAX_CHORUS_DEPTH) * sampleRate) + 2;
+    this.bufferL = new Float32Array(length);
+    this.bufferR = new Float32Array(length);
+    this.writeIndex = 0;
+    this.phase = 0;
+    this.params = { mode: "chorus", rate: 1, depth: 0.002, mix: 0.5 };
+  }
+
+  /**
+   * @param {ChorusParams} params
+   */
+  setParams(params) {
+    this.params = { ...params, depth: Math.min(Math.max(params.depth, 0), MAX_CHORUS_DEPTH) };
+  }
+
+  /**
+   * Seconds until the last of the input has left the delay line.
+   */
+  get tailTime() {
+    const { mode, depth } = this.params;
+    return (mode === "vibrato" ? VIBRATO_CENTER_DELAY : CHORUS_CENTER_DELAY) + 2 * depth;
+  }
+
+  /**
+   * Linearly interpolated read `delay` samples behind the write position.
+   */
+  read(buffer, delay) {
+    const length = buffer.length;
+    const position = this.writeIndex - delay + length;
+    const index = Math.floor(position);
+    const frac = position - index;
+    const a = buffer[index % length];
+    const b = buffer[(index + 1) % length];
+    return a + (b - a) * frac;
+  }
+
+  /**
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} count
+   */
+  process(left, right, count) {
+    const { mode, rate, depth, mix } = this.params;
+    const center =
+      ((mode === "vibrato" ? VIBRATO_CENTER_DELAY : CHORUS_CENTER_DELAY) + depth) * this.sampleRate;
+    const swing = depth * this.sampleRate;
+    const wet = mode === "vibrato" ? 1 : mix;
+    const increment = rate / this.sampleRate;
+    const length = this.bufferL.length;
+
+    for (let i = 0; i < count; i++) {
+      this.bufferL[this.writeIndex] = left[i];
+      this.bufferR[this.writeIndex] = right[i];
+      const sweepL = Math.sin(2 * Math.PI * this.phase);
+      const sweepR = Math.cos(2 * Math.PI * this.phase);
+      const delayedL = this.read(this.bufferL, center + swing * sweepL);
+      const delayedR = this.read(this.bufferR, center + swing * sweepR);
+      left[i] = left[i] * (1 - wet) + delayedL * wet;
+      right[i] = right[i] * (1 - wet) + delayedR * wet;
+
+      this.writeIndex = (this.writeIndex + 1) % length;
+      this.phase += increment;
+      if (this.phase >= 1) this.phase -= 1;
+    }
+  }
+}
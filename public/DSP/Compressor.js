@@ -0,0 +1,75 @@
+// Width of the soft knee around the threshold, in dB
+const KNEE_WIDTH = 6;
+
+/**
+ * @typedef {object} CompressorParams
+ * @property {number} threshold - Level in dBFS above which the gain comes down.
+ * @property {number} ratio - Input dB over the threshold per output dB, 1 or more.
+ * @property {number} attack - Seconds to reach about two thirds of a gain reduction.
+ * @property {number} release - Seconds to recover about two thirds of the way.
+ * @property {number} makeup - Gain in dB applied after compression.
+ */
+
+/**
+ * Feed-forward stereo compressor with a soft knee. Both channels follow the louder one,
+ * so the stereo image doesn't wander.
+ */
+export default class Compressor {
+  /**
+   * @param {number} sampleRate
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    // current gain reduction in dB, 0 or more
+    this.reduction = 0;
+    this.setParams({ threshold: -18, ratio: 4, attack: 0.01, release: 0.2, makeup: 0 });
+  }
+
+  /**
+   * @param {CompressorParams} params
+   */
+  setParams(params) {
+    this.params = { ...params, ratio: Math.max(params.ratio, 1) };
+    this.attackCoefficient = Math.exp(-1 / (Math.max(params.attack, 1e-4) * this.sampleRate));
+    this.releaseCoefficient = Math.exp(-1 / (Math.max(params.release, 1e-4) * this.sampleRate));
+    this.makeupGain = Math.pow(10, params.makeup / 20);
+  }
+
+  /**
+   * Gain reduction the static curve asks for at a level, in dB.
+   * @param {number} level - dBFS.
+   */
+  targetReduction(level) {
+    const { threshold, ratio } = this.params;
+    const over = level - threshold;
+    const slope = 1 - 1 / ratio;
+    if (over <= -KNEE_WIDTH / 2) return 0;
+    if (over >= KNEE_WIDTH / 2) return over * slope;
+    const intoKnee = over + KNEE_WIDTH / 2;
+    return (slope * intoKnee * intoKnee) / (2 * KNEE_WIDTH);
+  }
+
+  /**
+   * Compress a block of stereo frames in place.
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} offset - First frame to process.
+   * @param {number} count
+   * @returns {number} The largest gain reduction in the block, in dB.
+   */
+  process(left, right, offset, count) {
+    let largest = 0;
+    for (let i = offset; i < offset + count; i++) {
+      const peak = Math.max(Math.abs(left[i]), Math.abs(right[i]));
+      const target = peak > 0 ? this.targetReduction(20 * Math.log10(peak)) : 0;
+      const coefficient = target > this.reduction ? this.attackCoefficient : this.releaseCoefficient;
+      this.reduction = target + (this.reduction - target) * coefficient;
+      largest = Math.max(largest, this.reduction);
+
+      const gain = Math.pow(10, -this.reduction / 20) * this.makeupGain;
+      left[i] *= gain;
+      right[i] *= gain;
+    }
+    return largest;
+  }
+}
@@ -0,0 +1,81 @@
+import ParametricEQ from "./ParametricEQ.js";
+import Chorus from "./Chorus.js";
+import FeedbackDelay from "./FeedbackDelay.js";
+import Reverb from "./Reverb.js";
+
+/**
+ * The effects a preset can declare, in the order the signal passes through them.
+ * Each is off unless present with `enabled` not false.
+ * @typedef {object} EffectsDef
+ * @property {{ enabled?: boolean, bands: import('./ParametricEQ.js').EQBand[] }} [eq]
+ * @property {{ enabled?: boolean } & import('./Chorus.js').ChorusParams} [chorus]
+ * @property {{ enabled?: boolean } & import('./FeedbackDelay.js').DelayParams} [delay]
+ * @property {{ enabled?: boolean } & import('./Reverb.js').ReverbParams} [reverb]
+ */
+
+export const EFFECT_ORDER = ["eq", "chorus", "delay", "reverb"];
+
+const EFFECT_CLASSES = {
+  eq: ParametricEQ,
+  chorus: Chorus,
+  delay: FeedbackDelay,
+  reverb: Reverb,
+};
+
+/**
+ * A chain of stereo effects processed in place, block by block.
+ * Effects keep their state (delay lines, reverb tail) across `configure` calls
+ * as long as they stay enabled, so editing a preset doesn't cut off what is ringing.
+ */
+export default class EffectsRack {
+  /**
+   * @param {number} sampleRate
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    /** @type {Record<string, { setParams: (params: object) => void, process: (left: Float32Array, right: Float32Array, count: number) => void }|null>} */
+    this.effects = {};
+  }
+
+  /**
+   * @param {EffectsDef} effects
+   */
+  configure(effects) {
+    for (const name of EFFECT_ORDER) {
+      const def = effects[name];
+      if (!def || def.enabled === false) {
+        this.effects[name] = null;
+        continue;
+      }
+      this.effects[name] ??= new EFFECT_CLASSES[name](this.sampleRate);
+      this.effects[name].setParams(def);
+    }
+  }
+
+  /**
+   * Whether any effect is enabled; an empty rack can be skipped.
+   */
+  get active() {
+    return EFFECT_ORDER.some((name) => this.effects[name]);
+  }
+
+  /**
+   * Seconds the chain keeps sounding after its input falls silent.
+   */
+  get tailTime() {
+    let tail = 0;
+    for (const name of EFFECT_ORDER) tail += this.effects[name]?.tailTime ?? 0;
+    return tail;
+  }
+
+  /**
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} count
+   */
+  process(left, right, count) {
+    for (const name of EFFECT_ORDER) {
+      this.effects[name]?.process(left, right, count);
+    }
+  }
+}
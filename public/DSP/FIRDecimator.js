@@ -0,0 +1,88 @@
+import { designLowpassFIR } from "./FIR.js";
+
+// Stopband attenuation the decimation filter is designed for, in dB
+const STOPBAND_ATTENUATION = 80;
+// Highest frequency that must pass untouched, in Hz
+const PASSBAND_EDGE = 20000;
+
+/**
+ * Stereo FIR decimator: low-passes an oversampled signal and keeps every `factor`-th frame.
+ *
+ * The transition band runs from the passband edge to the output Nyquist frequency, so nothing
+ * above Nyquist folds back into the output. Only the kept frames are filtered.
+ */
+export default class FIRDecimator {
+  /**
+   * @param {number} outputSampleRate - Rate after decimation, in Hz.
+   * @param {number} factor - Oversampling factor of the input.
+   */
+  constructor(outputSampleRate, factor) {
+    const inputSampleRate = outputSampleRate * factor;
+    const passband = Math.min(PASSBAND_EDGE, outputSampleRate * 0.45);
+    const nyquist = outputSampleRate / 2;
+    const transition = (nyquist - passband) / inputSampleRate;
+    // Kaiser's estimates of the window's beta and the length for the attenuation and transition
+    const beta = 0.1102 * (STOPBAND_ATTENUATION - 8.7);
+    const length = Math.ceil((STOPBAND_ATTENUATION - 8) / (2.285 * 2 * Math.PI * transition));
+    // odd, so the delay is a whole number of input frames
+    const taps = length | 1;
+
+    this.factor = factor;
+    this.coefficients = designLowpassFIR(
+      inputSampleRate,
+      (passband + nyquist) / 2,
+      taps,
+      "kaiser",
+      beta
+    );
+    // each input frame is written twice, `taps` apart, so a window never wraps
+    this.historyL = new Float32Array(2 * taps);
+    this.historyR = new Float32Array(2 * taps);
+    this.writeIndex = 0;
+    // input frames taken since the last output frame
+    this.phase = 0;
+  }
+
+  /**
+   * Delay the filter adds, in output frames.
+   */
+  get latency() {
+    return (this.coefficients.length - 1) / 2 / this.factor;
+  }
+
+  /**
+   * Take `count` oversampled frames and write the decimated frames they complete.
+   * @param {Float32Array} inputL
+   * @param {Float32Array} inputR
+   * @param {number} count
+   * @param {Float32Array} outputL
+   * @param {Float32Array} outputR
+   * @param {number} offset - Where in the outputs to start writing.
+   * @returns {number} Frames written.
+   */
+  process(inputL, inputR, count, outputL, outputR, offset) {
+    const { coefficients, historyL, historyR, factor } = this;
+    const taps = coefficients.length;
+    let written = 0;
+
+    for (let i = 0; i < count; i++) {
+      historyL[this.writeIndex] = historyL[this.writeIndex + taps] = inputL[i];
+      historyR[this.writeIndex] = historyR[this.writeIndex + taps] = inputR[i];
+      this.writeIndex = (this.writeIndex + 1) % taps;
+
+      if (++this.phase < factor) continue;
+      this.phase = 0;
+      // the oldest frame is at `writeIndex`; the filter is symmetric, so the direction doesn't matter
+      let sumL = 0;
+      let sumR = 0;
+      for (let j = 0, k = this.writeIndex; j < taps; j++, k++) {
+        sumL += coefficients[j] * historyL[k];
+        sumR += coefficients[j] * historyR[k];
+      }
+      outputL[offset + written] = sumL;
+      outputR[offset + written] = sumR;
+      written++;
+    }
+    return written;
+  }
+}
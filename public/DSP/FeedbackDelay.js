@@ -0,0 +1,105 @@
+// Longest delay time accepted, in seconds
+export const MAX_DELAY_TIME = 2;
+// Highest feedback accepted
+export const MAX_FEEDBACK = 0.98;
+// Delay time changes glide over roughly this long instead of jumping, which would click
+const TIME_SMOOTHING = 0.05;
+
+/**
+ * @typedef {object} DelayParams
+ * @property {number} time - Seconds between repeats.
+ * @property {number} feedback - Level of each repeat relative to the one before, 0 to below 1.
+ * @property {number} mix - Share of the repeats in the output, 0–1.
+ * @property {number} [damping=0] - How much each repeat loses its highs, 0–1.
+ * @property {boolean} [pingPong=false] - Repeats alternate between left and right.
+ */
+
+/**
+ * Stereo feedback delay with a low-pass in the loop, optionally ping-ponging between channels.
+ */
+export default class FeedbackDelay {
+  /**
+   * @param {number} sampleRate
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    const length = Math.ceil(MAX_DELAY_TIME * sampleRate) + 2;
+    this.bufferL = new Float32Array(length);
+    this.bufferR = new Float32Array(length);
+    this.writeIndex = 0;
+    // delay in samples, following `targetDelay`
+    this.delay = 0;
+    this.targetDelay = 0;
+    this.smoothing = 1 - Math.exp(-1 / (TIME_SMOOTHING * sampleRate));
+    // loop low-pass state
+    this.lowL = 0;
+    this.lowR = 0;
+    this.params = { time: 0.3, feedback: 0.4, mix: 0.3, damping: 0, pingPong: false };
+  }
+
+  /**
+   * @param {DelayParams} params
+   */
+  setParams(params) {
+    // at a feedback of 1 or more the repeats would never die down
+    this.params = {
+      damping: 0,
+      pingPong: false,
+      ...params,
+      feedback: Math.min(Math.max(params.feedback, 0), MAX_FEEDBACK),
+    };
+    this.targetDelay = Math.min(Math.max(params.time, 0.001), MAX_DELAY_TIME) * this.sampleRate;
+    // a fresh delay starts at its time rather than sweeping up to it
+    if (this.delay === 0) this.delay = this.targetDelay;
+  }
+
+  /**
+   * Seconds until the repeats have died down by 60 dB.
+   */
+  get tailTime() {
+    const { time, feedback } = this.params;
+    return feedback > 0 ? time - (time * 3) / Math.log10(feedback) : time;
+  }
+
+  read(buffer, delay) {
+    const length = buffer.length;
+    const position = this.writeIndex - delay + length;
+    const index = Math.floor(position);
+    const frac = position - index;
+    const a = buffer[index % length];
+    const b = buffer[(index + 1) % length];
+    return a + (b - a) * frac;
+  }
+
+  /**
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} count
+   */
+  process(left, right, count) {
+    const { feedback, mix, damping, pingPong } = this.params;
+    const length = this.bufferL.length;
+    const keep = Math.min(Math.max(damping, 0), 1) * 0.95;
+
+    for (let i = 0; i < count; i++) {
+      this.delay += (this.targetDelay - this.delay) * this.smoothing;
+      const delayedL = this.read(this.bufferL, this.delay);
+      const delayedR = this.read(this.bufferR, this.delay);
+      this.lowL = delayedL * (1 - keep) + this.lowL * keep;
+      this.lowR = delayedR * (1 - keep) + this.lowR * keep;
+
+      if (pingPong) {
+        // the input enters on the left only; each side feeds the other
+        this.bufferL[this.writeIndex] = (left[i] + right[i]) * 0.5 + this.lowR * feedback;
+        this.bufferR[this.writeIndex] = this.lowL * feedback;
+      } else {
+        this.bufferL[this.writeIndex] = left[i] + this.lowL * feedback;
+        this.bufferR[this.writeIndex] = right[i] + this.lowR * feedback;
+      }
+
+      left[i] = left[i] * (1 - mix) + delayedL * mix;
+      right[i] = right[i] * (1 - mix) + delayedR * mix;
+      this.writeIndex = (this.writeIndex + 1) % length;
+    }
+  }
+}
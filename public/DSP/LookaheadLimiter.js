@@ -0,0 +1,97 @@
+// How far ahead the limiter sees peaks coming, in seconds; also the latency it adds
+const LOOKAHEAD_TIME = 0.005;
+// Seconds for the gain to recover about two thirds of the way after a peak
+const RELEASE_TIME = 0.1;
+
+/**
+ * Look-ahead brickwall limiter: no sample leaves above the ceiling.
+ *
+ * The gain each frame needs is held at the minimum over the look-ahead window, released slowly
+ * and then averaged over the same window. Every value averaged for a peak's frame already
+ * includes that peak's gain, so the average never exceeds it. Each gain change is thereby spread
+ * over the window instead of landing on one sample. The signal is delayed by the window so
+ * the gain reaches each peak exactly when the peak does.
+ */
+export default class LookaheadLimiter {
+  /**
+   * @param {number} sampleRate
+   * @param {number} [ceiling=0.98] - Highest output magnitude.
+   */
+  constructor(sampleRate, ceiling = 0.98) {
+    const window = Math.max(Math.round(LOOKAHEAD_TIME * sampleRate), 1);
+    this.window = window;
+    this.ceiling = ceiling;
+    this.releaseCoefficient = Math.exp(-1 / (RELEASE_TIME * sampleRate));
+    // delayed input
+    this.delayL = new Float32Array(window);
+    this.delayR = new Float32Array(window);
+    // gains needed by the last `window` frames, and a deque of frame numbers whose needed gains
+    // rise from front to back, for the running minimum
+    this.needed = new Float64Array(window).fill(1);
+    this.minQueue = new Float64Array(window);
+    this.minHead = 0;
+    this.minLength = 0;
+    // released gain of the last `window` frames and their sum, for the running average
+    this.held = new Float64Array(window).fill(1);
+    this.heldSum = window;
+    this.release = 1;
+    this.index = 0;
+    // frames processed; `index` is this modulo `window`
+    this.frame = 0;
+  }
+
+  /**
+   * Limit a block of stereo frames in place.
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} offset - First frame to process.
+   * @param {number} count
+   * @returns {number} The largest gain reduction in the block, in dB.
+   */
+  process(left, right, offset, count) {
+    const { window, ceiling, needed, minQueue, held } = this;
+    let lowest = 1;
+
+    for (let n = offset; n < offset + count; n++) {
+      const i = this.index;
+      const peak = Math.max(Math.abs(left[n]), Math.abs(right[n]));
+      needed[i] = peak > ceiling ? ceiling / peak : 1;
+
+      // running minimum of `needed` over the window: drop the front entry once it has left
+      // the window, and entries at the back that can no longer be the minimum
+      if (this.minLength > 0 && minQueue[this.minHead] <= this.frame - window) {
+        this.minHead = (this.minHead + 1) % window;
+        this.minLength--;
+      }
+      while (this.minLength > 0) {
+        const back = minQueue[(this.minHead + this.minLength - 1) % window];
+        if (needed[back % window] < needed[i]) break;
+        this.minLength--;
+      }
+      minQueue[(this.minHead + this.minLength) % window] = this.frame;
+      this.minLength++;
+      const minimum = needed[minQueue[this.minHead] % window];
+
+      // instant attack, smooth release
+      this.release =
+        minimum < this.release ? minimum : minimum + (this.release - minimum) * this.releaseCoefficient;
+      this.heldSum += this.release - held[i];
+      held[i] = this.release;
+      const gain = Math.min(this.heldSum / window, 1);
+      lowest = Math.min(lowest, gain);
+
+      // out with the frame from `window - 1` frames ago, in with the new one
+      const delayedL = this.delayL[(i + 1) % window];
+      const delayedR = this.delayR[(i + 1) % window];
+      this.delayL[i] = left[n];
+      this.delayR[i] = right[n];
+      // the clamp only catches rounding in the running sum
+      left[n] = Math.min(Math.max(delayedL * gain, -ceiling), ceiling);
+      right[n] = Math.min(Math.max(delayedR * gain, -ceiling), ceiling);
+
+      this.index = (i + 1) % window;
+      this.frame++;
+    }
+    return lowest < 1 ? -20 * Math.log10(lowest) : 0;
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * @typedef {'peaking'|'lowshelf'|'highshelf'|'lowpass'|'highpass'} EQBandType
+ */
+
+/**
+ * One band of the parametric EQ.
+ * @typedef {object} EQBand
+ * @property {EQBandType} type
+ * @property {number} frequency - Center or corner frequency in Hz.
+ * @property {number} [gain=0] - Boost or cut in dB (peaking and shelf bands only).
+ * @property {number} [q=0.707] - Bandwidth; higher is narrower.
+ */
+
+/**
+ * Second-order IIR section with the filter shapes from the Audio EQ Cookbook (R. Bristow-Johnson),
+ * in transposed direct form II.
+ */
+export class Biquad {
+  constructor() {
+    this.b0 = 1;
+    this.b1 = 0;
+    this.b2 = 0;
+    this.a1 = 0;
+    this.a2 = 0;
+    this.z1 = 0;
+    this.z2 = 0;
+  }
+
+  /**
+   * @param {EQBand} band
+   * @param {number} sampleRate
+   */
+  setBand({ type, frequency, gain = 0, q = 0.707 }, sampleRate) {
+    // keep the corner clear of Nyquist, where the coefficients blow up
+    const w0 = (2 * Math.PI * Math.min(Math.max(frequency, 10), sampleRate * 0.49)) / sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * Math.max(q, 0.01));
+    const A = Math.pow(10, gain / 40);
+    const sqrtA2alpha = 2 * Math.sqrt(A) * alpha;
+
+    let b0, b1, b2, a0, a1, a2;
+    switch (type) {
+      case "lowshelf":
+        b0 = A * (A + 1 - (A - 1) * cos + sqrtA2alpha);
+        b1 = 2 * A * (A - 1 - (A + 1) * cos);
+        b2 = A * (A + 1 - (A - 1) * cos - sqrtA2alpha);
+        a0 = A + 1 + (A - 1) * cos + sqrtA2alpha;
+        a1 = -2 * (A - 1 + (A + 1) * cos);
+        a2 = A + 1 + (A - 1) * cos - sqrtA2alpha;
+        break;
+      case "highshelf":
+        b0 = A * (A + 1 + (A - 1) * cos + sqrtA2alpha);
+        b1 = -2 * A * (A - 1 + (A + 1) * cos);
+        b2 = A * (A + 1 + (A - 1) * cos - sqrtA2alpha);
+        a0 = A + 1 - (A - 1) * cos + sqrtA2alpha;
+        a1 = 2 * (A - 1 - (A + 1) * cos);
+        a2 = A + 1 - (A - 1) * cos - sqrtA2alpha;
+        break;
+      case "lowpass":
+        b0 = (1 - cos) / 2;
+        b1 = 1 - cos;
+        b2 = (1 - cos) / 2;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+        break;
+      case "highpass":
+        b0 = (1 + cos) / 2;
+        b1 = -(1 + cos);
+        b2 = (1 + cos) / 2;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+        break;
+      default:
+        b0 = 1 + alpha * A;
+        b1 = -2 * cos;
+        b2 = 1 - alpha * A;
+        a0 = 1 + alpha / A;
+        a1 = -2 * cos;
+        a2 = 1 - alpha / A;
+    }
+    this.b0 = b0 / a0;
+    this.b1 = b1 / a0;
+    this.b2 = b2 / a0;
+    this.a1 = a1 / a0;
+    this.a2 = a2 / a0;
+  }
+
+  /**
+   * @param {number} x
+   * @returns {number}
+   */
+  process(x) {
+    const y = this.b0 * x + this.z1;
+    this.z1 = this.b1 * x - this.a1 * y + this.z2;
+    this.z2 = this.b2 * x - this.a2 * y;
+    return y;
+  }
+}
+
+/**
+ * Stereo EQ: a chain of biquad bands per channel.
+ */
+export default class ParametricEQ {
+  /**
+   * @param {number} sampleRate
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    /** @type {{ left: Biquad, right: Biquad }[]} */
+    this.bands = [];
+  }
+
+  /**
+   * Bands keep their filter state when only their settings change, so sweeping a band doesn't pop.
+   * @param {{ bands: EQBand[] }} params
+   */
+  setParams({ bands }) {
+    this.bands = bands.map((band, i) => {
+      const filters = this.bands[i] ?? { left: new Biquad(), right: new Biquad() };
+      filters.left.setBand(band, this.sampleRate);
+      filters.right.setBand(band, this.sampleRate);
+      return filters;
+    });
+  }
+
+  /**
+   * Filter a stereo block in place.
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} count
+   */
+  process(left, right, count) {
+    for (const { left: filterL, right: filterR } of this.bands) {
+      for (let i = 0; i < count; i++) {
+        left[i] = filterL.process(left[i]);
+        right[i] = filterR.process(right[i]);
+      }
+    }
+  }
+}
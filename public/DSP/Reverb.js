@@ -0,0 +1,132 @@
+// Freeverb's comb and all-pass lengths, in samples at 44.1 kHz
+const COMB_TUNINGS = [1116, 1188, 1277, 1356, 1422, 1491, 1557, 1617];
+const ALLPASS_TUNINGS = [556, 441, 341, 225];
+// Right channel lines are this much longer, which decorrelates the two sides
+const STEREO_SPREAD = 23;
+const TUNING_SAMPLE_RATE = 44100;
+// Input attenuation, so eight summed combs don't overload
+const INPUT_GAIN = 0.015;
+// Output makeup, so a fully wet reverb sits near the level of the dry signal
+const WET_GAIN = 3;
+// Longest pre-delay accepted, in seconds
+export const MAX_PRE_DELAY = 0.2;
+
+/**
+ * @typedef {object} ReverbParams
+ * @property {number} size - Room size, 0–1; longer decays as it grows.
+ * @property {number} damping - How quickly the highs die away, 0–1.
+ * @property {number} mix - Share of the reverb in the output, 0–1.
+ * @property {number} [preDelay=0] - Seconds before the reverb starts.
+ */
+
+class Comb {
+  constructor(length) {
+    this.buffer = new Float32Array(length);
+    this.index = 0;
+    this.low = 0;
+  }
+
+  process(input, feedback, damp) {
+    const output = this.buffer[this.index];
+    this.low = output * (1 - damp) + this.low * damp;
+    this.buffer[this.index] = input + this.low * feedback;
+    this.index = (this.index + 1) % this.buffer.length;
+    return output;
+  }
+}
+
+class AllPass {
+  constructor(length) {
+    this.buffer = new Float32Array(length);
+    this.index = 0;
+  }
+
+  process(input) {
+    const delayed = this.buffer[this.index];
+    this.buffer[this.index] = input + delayed * 0.5;
+    this.index = (this.index + 1) % this.buffer.length;
+    return delayed - input;
+  }
+}
+
+/**
+ * Algorithmic stereo reverb after Jezar's Freeverb: eight parallel damped combs into four
+ * series all-passes per channel, fed through an optional pre-delay.
+ */
+export default class Reverb {
+  /**
+   * @param {number} sampleRate
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    const scale = sampleRate / TUNING_SAMPLE_RATE;
+    const lines = (tunings, Line, spread) =>
+      tunings.map((length) => new Line(Math.round((length + spread) * scale)));
+    this.combsL = lines(COMB_TUNINGS, Comb, 0);
+    this.combsR = lines(COMB_TUNINGS, Comb, STEREO_SPREAD);
+    this.allPassesL = lines(ALLPASS_TUNINGS, AllPass, 0);
+    this.allPassesR = lines(ALLPASS_TUNINGS, AllPass, STEREO_SPREAD);
+    this.preDelayBuffer = new Float32Array(Math.ceil(MAX_PRE_DELAY * sampleRate) + 1);
+    this.preDelayIndex = 0;
+    this.params = { size: 0.5, damping: 0.5, mix: 0.3, preDelay: 0 };
+  }
+
+  /**
+   * @param {ReverbParams} params
+   */
+  setParams(params) {
+    this.params = { preDelay: 0, ...params };
+  }
+
+  // comb feedback for the room size
+  get feedback() {
+    return 0.7 + 0.28 * Math.min(Math.max(this.params.size, 0), 1);
+  }
+
+  /**
+   * Seconds until the longest comb has decayed by 60 dB, ignoring damping.
+   */
+  get tailTime() {
+    const longest = (COMB_TUNINGS[COMB_TUNINGS.length - 1] + STEREO_SPREAD) / TUNING_SAMPLE_RATE;
+    return this.params.preDelay + (longest * -3) / Math.log10(this.feedback);
+  }
+
+  /**
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} count
+   */
+  process(left, right, count) {
+    const { damping, preDelay } = this.params;
+    const { feedback } = this;
+    const wet = this.params.mix * WET_GAIN;
+    const dry = 1 - this.params.mix;
+    const damp = 0.4 * Math.min(Math.max(damping, 0), 1);
+    const preDelayLength = this.preDelayBuffer.length;
+    const preDelaySamples = Math.min(
+      Math.round(preDelay * this.sampleRate),
+      preDelayLength - 1
+    );
+
+    for (let i = 0; i < count; i++) {
+      this.preDelayBuffer[this.preDelayIndex] = (left[i] + right[i]) * INPUT_GAIN;
+      const input =
+        this.preDelayBuffer[(this.preDelayIndex - preDelaySamples + preDelayLength) % preDelayLength];
+      this.preDelayIndex = (this.preDelayIndex + 1) % preDelayLength;
+
+      let outL = 0;
+      let outR = 0;
+      for (let c = 0; c < this.combsL.length; c++) {
+        outL += this.combsL[c].process(input, feedback, damp);
+        outR += this.combsR[c].process(input, feedback, damp);
+      }
+      for (let a = 0; a < this.allPassesL.length; a++) {
+        outL = this.allPassesL[a].process(outL);
+        outR = this.allPassesR[a].process(outR);
+      }
+
+      left[i] = left[i] * dry + outL * wet;
+      right[i] = right[i] * dry + outR * wet;
+    }
+  }
+}
@@ -38,6 +38,41 @@ export default class StereoAntiPopFilter {
     this.a2 = 0.0;
   }
 
+  /**
+   * One channel's filter step at ring position `i`; `inputs[i]` must already hold the input.
+   */
+  filterSample(inputs, outputs, i, prev1, prev2) {
+    const y = softClip(
+      this.b0 * inputs[i] +
+      this.b1 * inputs[prev1] +
+      this.a1 * outputs[prev1] +
+      this.a2 * outputs[prev2]
+    );
+    outputs[i] = y;
+    return y;
+  }
+
+  /**
+   * Smooth a block of stereo frames in place. Unlike `process`, allocates nothing per frame,
+   * so it can run on the audio thread.
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   * @param {number} offset - First frame to process.
+   * @param {number} count
+   */
+  processBlock(left, right, offset, count) {
+    for (let n = offset; n < offset + count; n++) {
+      const i = this.index;
+      const prev1 = trueMod(i - 1, this.bufferSize);
+      const prev2 = trueMod(i - 2, this.bufferSize);
+      this.inputL[i] = softClip(left[n]);
+      this.inputR[i] = softClip(right[n]);
+      left[n] = this.filterSample(this.inputL, this.outputL, i, prev1, prev2);
+      right[n] = this.filterSample(this.inputR, this.outputR, i, prev1, prev2);
+      this.index = (i + 1) % this.bufferSize;
+    }
+  }
+
   /**
    * Process a single stereo frame
    * @param {number} inL - Left channel input sample
@@ -60,23 +95,11 @@ export default class StereoAntiPopFilter {
 
     // Left channel
     this.inputL[i] = inL;
-    let yL =
-      this.b0 * this.inputL[i] +
-      this.b1 * this.inputL[prev1] +
-      this.a1 * this.outputL[prev1] +
-      this.a2 * this.outputL[prev2];
-    yL = softClip(yL);
-    this.outputL[i] = yL;
+    const yL = this.filterSample(this.inputL, this.outputL, i, prev1, prev2);
 
     // Right channel
     this.inputR[i] = inR;
-    let yR =
-      this.b0 * this.inputR[i] +
-      this.b1 * this.inputR[prev1] +
-      this.a1 * this.outputR[prev1] +
-      this.a2 * this.outputR[prev2];
-    yR = softClip(yR);
-    this.outputR[i] = yR;
+    const yR = this.filterSample(this.inputR, this.outputR, i, prev1, prev2);
 
     // Update ring buffer index
     this.index = (i + 1) % this.bufferSize;
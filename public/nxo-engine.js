@@ -0,0 +1,1695 @@
+import { midiNoteToFrequency } from "./piano.js";
+import { buildNXOComputer, computeReleasedNoteExpirationTime } from "./nxo.js";
+import { buildVelocityTable, normalizeNXODef, partialRatio, resolveNXOPreset } from "./nxo.js";
+import { DEFAULT_ENVELOPE_MODE, ENVELOPE_MODES, IncrementalEnvelope } from "./ADSR.js";
+import EffectsRack from "./DSP/EffectsRack.js";
+import FIRDecimator from "./DSP/FIRDecimator.js";
+import StereoAntiPopFilter from "./DSP/StereoAntiPopFilter.js";
+import Compressor from "./DSP/Compressor.js";
+import LookaheadLimiter from "./DSP/LookaheadLimiter.js";
+
+// Default number of simultaneous voices (including note releases)
+const DEFAULT_POLYPHONY = 16;
+
+/**
+ * Largest polyphony `setPolyphony` accepts.
+ */
+export const MAX_POLYPHONY = 64;
+
+/**
+ * Which voice gives way when a note-on needs one and all are in use:
+ * - `oldest`: the voice that started longest ago
+ * - `quietest`: the voice with the lowest current envelope level
+ * - `released-first`: the oldest voice whose key is up, else the oldest voice
+ * - `same-note`: a re-struck note always takes over its own voice; otherwise `released-first`
+ * @typedef {'oldest'|'quietest'|'released-first'|'same-note'} StealPolicy
+ */
+
+/** @type {StealPolicy[]} */
+export const STEAL_POLICIES = ["oldest", "quietest", "released-first", "same-note"];
+
+/**
+ * Oversampling factors `setOversampling` accepts.
+ */
+export const OVERSAMPLING_FACTORS = [1, 2, 4, 8];
+
+/**
+ * Smoothing of the mix on its way into the master bus:
+ * - `off`: none
+ * - `anti-pop`: `StereoAntiPopFilter`, a gentle low-pass that smooths clicks and also soft-clips
+ * @typedef {'off'|'anti-pop'} OutputSmoothing
+ */
+
+/** @type {OutputSmoothing[]} */
+export const OUTPUT_SMOOTHING_MODES = ["off", "anti-pop"];
+
+/**
+ * What keeps the master bus within full scale:
+ * - `clean`: nothing; the audio output clips whatever exceeds it
+ * - `soft-clip`: `x / (1 + |x|)` on every sample, which also bends quiet signals a little
+ * - `limiter`: a look-ahead brickwall limiter, linear below its ceiling
+ * @typedef {'clean'|'soft-clip'|'limiter'} OutputMode
+ */
+
+/** @type {OutputMode[]} */
+export const OUTPUT_MODES = ["clean", "soft-clip", "limiter"];
+
+/**
+ * Range of `setMasterVolume`, in dB.
+ */
+export const MIN_MASTER_VOLUME = -60;
+export const MAX_MASTER_VOLUME = 24;
+
+/**
+ * Largest `setPitchBendRange`, in semitones.
+ */
+export const MAX_PITCH_BEND_RANGE = 24;
+
+// Partials fade out from this fraction of the Nyquist frequency up to Nyquist itself
+const DEFAULT_BAND_LIMIT = 0.9;
+// Lowest band limit `setBandLimit` accepts
+const MIN_BAND_LIMIT = 0.5;
+
+// Stolen voices fade out over this long instead of stopping dead
+const STEAL_FADE_TIME = 0.005;
+// General expected number of simultaneous pressed-down notes
+const AVERAGE_EXPECTED_SIMULTANEOUS_PRESSED_NOTES = 12;
+
+// Default pitch wheel range in semitones, in either direction
+const DEFAULT_PITCH_BEND_RANGE = 2;
+
+// Enforces a type of fade in/out and ensures decay is sensible too
+const MINIMUM_ADR_PARAMETER_TIME = 0.015;
+
+/**
+ * Number of frames the Web Audio API renders per `process` call.
+ * The offline renderer uses the same block size so its output matches the worklet.
+ */
+export const RENDER_QUANTUM_SIZE = 128;
+
+// Longest stretch synthesized in one go; longer `process` blocks are split
+const MAX_SEGMENT_SIZE = RENDER_QUANTUM_SIZE;
+
+const per_note_volume = 1 / AVERAGE_EXPECTED_SIMULTANEOUS_PRESSED_NOTES;
+
+const TWO_PI = 2 * Math.PI;
+
+// Middle C, where key tracking is 0
+const KEY_TRACK_CENTER = 60;
+// Key-follow panning reaches its full offset this many semitones from the center
+const KEY_FOLLOW_SPAN = 60;
+
+/**
+ * Soft clipping to keep signal in [-1, 1] range smoothly
+ * @param {number} x
+ * @returns {number}
+ */
+export function softClip(x) {
+  return x / (1 + Math.abs(x));
+}
+
+/**
+ * Constant-power pan law, scaled so a centered signal keeps unity gain in both channels.
+ * Gives the left channel's gain; the right channel's is `panGain(-position)`.
+ * @param {number} position - From -1 (left) to 1 (right).
+ * @returns {number}
+ */
+function panGain(position) {
+  // exactly 1 at the center, so centered presets render as they did before panning
+  if (position === 0) return 1;
+  return Math.SQRT2 * Math.cos(((position + 1) * Math.PI) / 4);
+}
+
+/**
+ * Gain that fades a partial out as it nears the Nyquist frequency, past which it would alias.
+ * @param {number} frequency - In cycles per sample; Nyquist is 0.5.
+ * @param {number} bandLimit - Fraction of Nyquist where the fade starts. At 1, partials are
+ *   only silenced once past Nyquist.
+ * @returns {number}
+ */
+function bandLimitGain(frequency, bandLimit) {
+  const start = 0.5 * bandLimit;
+  if (frequency <= start) return 1;
+  if (frequency >= 0.5) return 0;
+  return (0.5 - frequency) / (0.5 - start);
+}
+
+/**
+ * Stereo offset of each partial from its voice's position: partials alternate right and left
+ * by `spread` in order of pitch, the lowest staying put.
+ * @param {number[]} harmonics
+ * @param {number} spread
+ * @returns {Float64Array}
+ */
+function partialPanOffsets(harmonics, spread) {
+  const offsets = new Float64Array(harmonics.length);
+  const byPitch = harmonics.map((_, k) => k).sort((a, b) => harmonics[a] - harmonics[b]);
+  byPitch.forEach((k, rank) => {
+    if (rank > 0) offsets[k] = rank % 2 ? spread : -spread;
+  });
+  return offsets;
+}
+
+/**
+ * Synthesis settings and controller state for one compiled preset.
+ * Each part keeps its own wheels and pedal so timbres on different channels don't interfere.
+ */
+function createPart() {
+  return {
+    // the preset as configured, kept to rebuild the part when the sample rate changes
+    preset: null,
+    computer: null,
+    // normalized harmonic definitions the computer was built from
+    definition: {},
+    // harmonic keys as written, and as numbers
+    harmonicKeys: [],
+    harmonics: [],
+    // per-partial frequency ratio to the fundamental, fixed offset in cycles per sample,
+    // and starting phase in cycles (or 'random'), parallel to `harmonics`
+    partialRatios: new Float64Array(0),
+    partialOffsets: new Float64Array(0),
+    initialPhases: [],
+    // stereo placement, and each partial's offset from its voice (already scaled by width)
+    stereo: resolveNXOPreset({}).stereo,
+    partialPans: new Float64Array(0),
+    releaseNoteExpirationTime: 0,
+    gain: 1,
+    modWheel: resolveNXOPreset({}).modWheel,
+    velocityTable: buildVelocityTable("linear"),
+    // per-harmonic velocity sensitivity in [0, 1], parallel to `harmonics`
+    velocitySensitivities: [],
+    voiceMode: resolveNXOPreset({}).voiceMode,
+
+    // —— modulation matrix ——
+    /** @type {Required<import('./nxo.js').LFODef>[]} */
+    lfos: [],
+    // running state of each LFO when free-running; key-synced LFOs run on each voice instead
+    lfoStates: [],
+    // modulation routes, see `compileRoute`
+    routes: [],
+
+    // the part's effects chain, created once its preset declares effects
+    /** @type {EffectsRack|null} */
+    effects: null,
+    // sum of the part's voices for the current segment
+    mixLeft: new Float32Array(MAX_SEGMENT_SIZE),
+    mixRight: new Float32Array(MAX_SEGMENT_SIZE),
+
+    // —— mono mode ——
+    // keys held down, oldest first
+    /** @type {{ note: number, velocity: number }[]} */
+    heldNotes: [],
+    // the voice the part is playing; it may since have been released, stolen or collected
+    monoVoice: null,
+
+    // —— performance controller state ——
+    // pitch wheel position in [-1, 1] and mod wheel position in [0, 1]
+    pitchBend: 0,
+    modWheelValue: 0,
+    // controller values reached at the end of the last rendered segment; changes ramp from here
+    appliedPitchBendSemitones: 0,
+    appliedModWheelValue: 0,
+    // mod wheel LFO phase in cycles, shared by all voices of the part
+    lfoPhase: 0,
+    // per-sample frequency ratio and gain for the current segment
+    pitchModBuffer: new Float32Array(MAX_SEGMENT_SIZE).fill(1),
+    ampModBuffer: new Float32Array(MAX_SEGMENT_SIZE).fill(1),
+    // notes whose key was released while the damper pedal was down keep sounding
+    sustainPedalDown: false,
+  };
+}
+
+function createLFOState() {
+  return { phase: 0, held: Math.random() * 2 - 1 };
+}
+
+/**
+ * Move an LFO on by `count` frames. A `random` LFO picks its next value as each cycle starts.
+ */
+function advanceLFO(lfo, state, count, sampleRate) {
+  state.phase += (lfo.rate * count) / sampleRate;
+  if (state.phase >= 1) {
+    state.phase -= Math.floor(state.phase);
+    state.held = Math.random() * 2 - 1;
+  }
+}
+
+/**
+ * An LFO's current output in [-1, 1], before depth and delay.
+ */
+function lfoOutput(lfo, { phase, held }) {
+  switch (lfo.waveform) {
+    case "triangle":
+      return 1 - 4 * Math.abs(((phase + 0.25) % 1) - 0.5);
+    case "square":
+      return phase < 0.5 ? 1 : -1;
+    case "saw":
+      return 2 * phase - 1;
+    case "random":
+      return held;
+    default:
+      return Math.sin(TWO_PI * phase);
+  }
+}
+
+/**
+ * Resolve a modulation route against a preset: the source is parsed and the harmonic keys become
+ * indices into the part's `harmonics`.
+ * @param {import('./nxo.js').ModulationRoute} route
+ * @param {number[]} partHarmonics - The part's harmonics, in order.
+ * @param {number} lfoCount
+ */
+function compileRoute({ source, destination, amount, harmonics }, partHarmonics, lfoCount) {
+  const lfo = /^lfo(\d+)$/.exec(source);
+  if (lfo && !(Number(lfo[1]) >= 1 && Number(lfo[1]) <= lfoCount)) {
+    throw new Error(`Modulation source ${source} does not name an LFO of the preset`);
+  }
+  const targets = [];
+  partHarmonics.forEach((harmonic, k) => {
+    if (!harmonics || harmonics.some((key) => Number(key) === harmonic)) targets.push(k);
+  });
+  return {
+    source: lfo ? "lfo" : source,
+    lfo: lfo ? Number(lfo[1]) - 1 : -1,
+    destination,
+    amount,
+    targets,
+  };
+}
+
+/**
+ * Oscillator phases for a new voice of a part.
+ * @param {ReturnType<typeof createPart>} part
+ * @returns {Float64Array}
+ */
+function startingPhases(part) {
+  return Float64Array.from(part.initialPhases, (phase) =>
+    phase === "random" ? Math.random() : phase
+  );
+}
+
+function createVoiceLFOStates(part) {
+  return part.lfos.map((lfo) => (lfo.keySync ? createLFOState() : null));
+}
+
+/**
+ * Gain for each harmonic at the given velocity. A harmonic with sensitivity 0 ignores velocity,
+ * one with sensitivity 1 follows the preset's velocity curve fully.
+ * @param {ReturnType<typeof createPart>} part
+ * @param {number} velocity - MIDI velocity (0–127).
+ * @returns {Float32Array}
+ */
+function computeVelocityGains(part, velocity) {
+  const curveGain =
+    part.velocityTable[Math.min(Math.max(Math.round(velocity), 0), 127)];
+  return Float32Array.from(
+    part.velocitySensitivities,
+    (sensitivity) => 1 - sensitivity + sensitivity * curveGain
+  );
+}
+
+/**
+ * How incoming notes reach parts.
+ * In `channel` mode, MIDI channel n (0-based) plays part n.
+ * In `zones` mode, the channel is ignored and a note plays every part whose key range contains it;
+ * overlapping zones layer parts.
+ * @typedef {{ mode: 'channel' } | { mode: 'zones', zones: { part: number, low: number, high: number }[] }} PartRouting
+ */
+
+/**
+ * A performance event to apply at an exact frame, see `NXOEngine.schedule`.
+ * @typedef {(
+ *   { type: 'noteOn', note: number, velocity?: number, channel?: number } |
+ *   { type: 'noteOff', note: number, channel?: number } |
+ *   { type: 'sustain', down: boolean, channel?: number } |
+ *   { type: 'pitchBend', value: number, channel?: number } |
+ *   { type: 'modWheel', value: number, channel?: number }
+ * ) & { frame: number }} ScheduledEvent
+ */
+
+/**
+ * The NXO voice engine, independent of any audio backend.
+ *
+ * Owns the compiled parts, the voice map, the event queue and the note garbage collection.
+ * Each `process` call synthesizes exactly the requested frames, split wherever a scheduled event falls.
+ * `NXOProcessor` drives it from the audio thread, `renderNXO` drives it offline.
+ */
+export class NXOEngine {
+  /**
+   * @param {number} sampleRate - Output sample rate in Hz.
+   * @param {object} [options]
+   * @param {import('./ADSR.js').EnvelopeMode} [options.envelopeMode] - How envelopes are evaluated while rendering.
+   * @param {number} [options.oversampling=1] - See `setOversampling`.
+   */
+  constructor(sampleRate, { envelopeMode = DEFAULT_ENVELOPE_MODE, oversampling = 1 } = {}) {
+    if (!ENVELOPE_MODES.includes(envelopeMode)) {
+      throw new Error(`Unknown envelope mode: ${envelopeMode}`);
+    }
+    this.outputSampleRate = sampleRate;
+    // synthesis runs at `oversampling` times the output rate
+    this.oversampling = 1;
+    this.sampleRate = sampleRate;
+    this.envelopeMode = envelopeMode;
+    // fraction of the synthesis Nyquist frequency where partials start fading out
+    this.bandLimit = DEFAULT_BAND_LIMIT;
+    /** @type {FIRDecimator|null} */
+    this.decimator = null;
+    /** @type {OutputSmoothing} */
+    this.smoothing = "off";
+    /** @type {StereoAntiPopFilter|null} */
+    this.antiPopFilter = null;
+
+    // —— master bus ——
+    this.masterGain = 1;
+    /** @type {Compressor|null} */
+    this.compressor = null;
+    /** @type {OutputMode} */
+    this.outputMode = "soft-clip";
+    /** @type {LookaheadLimiter|null} */
+    this.limiter = null;
+    // largest gain reductions (dB) and output peak since the last `takeMeter`
+    this.meter = { compressorReduction: 0, limiterReduction: 0, peak: 0 };
+
+    /** @type {Map<number, ReturnType<typeof createPart>>} */
+    this.parts = new Map();
+    /** @type {PartRouting} */
+    this.routing = { mode: "channel" };
+    this.pitchBendRange = DEFAULT_PITCH_BEND_RANGE;
+    // frequency of each MIDI note in Hz; 0 for keys the tuning leaves silent
+    this.frequencies = Float64Array.from({ length: 128 }, (_, note) => midiNoteToFrequency(note));
+
+    // Sounding voices by voice id. A note can have several voices: its held one plus releasing or fading ones
+    this.notes = new Map();
+    this.nextVoiceId = 0;
+    this.polyphony = DEFAULT_POLYPHONY;
+    /** @type {StealPolicy} */
+    this.stealPolicy = "released-first";
+    this.stealFadeSamples = Math.round(STEAL_FADE_TIME * sampleRate);
+    // counters for the UI; they only ever go up
+    this.diagnostics = {
+      voicesStolen: 0,
+      // note-offs for notes that have no held voice (already stolen, or never started)
+      strayNoteOffs: 0,
+      // note-ons for a note that was still held
+      retriggeredNotes: 0,
+      peakVoices: 0,
+    };
+
+    // frames rendered so far; scheduled events are placed on this clock
+    this.frame = 0;
+    /** @type {ScheduledEvent[]} pending events, ordered by frame */
+    this.events = [];
+    // stereo mix of all parts for the current segment
+    this.mixLeft = new Float32Array(MAX_SEGMENT_SIZE);
+    this.mixRight = new Float32Array(MAX_SEGMENT_SIZE);
+    // a part's signal on its way through its effects
+    this.effectLeft = new Float32Array(MAX_SEGMENT_SIZE);
+    this.effectRight = new Float32Array(MAX_SEGMENT_SIZE);
+    // one harmonic's envelope for the current segment
+    this.envelopeBuffer = new Float32Array(MAX_SEGMENT_SIZE);
+    // fade-out ramp of the stolen voice being rendered
+    this.fadeBuffer = new Float32Array(MAX_SEGMENT_SIZE);
+    // fundamental phase advance per sample, in cycles, of the voice being rendered
+    this.pitchBuffer = new Float64Array(MAX_SEGMENT_SIZE);
+    // per-harmonic modulation matrix output at the end of the current segment, for the voice being rendered
+    this.modGainTargets = new Float64Array(0);
+    this.modRatioTargets = new Float64Array(0);
+
+    // —— GC debouncing state ——
+    // wait 1.5× the longest release envelope before collecting
+    this.GC_DEBOUNCE_SAMPLES = 0;
+    this.pendingGCDebounce = false;
+    // counts up only while a GC is pending
+    this.samplesSinceLastGCCounter = 0;
+
+    this.setOversampling(oversampling);
+  }
+
+  /**
+   * Whether any part has a compiled preset.
+   */
+  get ready() {
+    return this.parts.size > 0;
+  }
+
+  /**
+   * Compile a preset definition into the envelope processors used for rendering.
+   * @param {import('./nxo.js').NXODef|import('./nxo.js').NXOPreset} preset
+   * @param {number} [partIndex=0] - Part to load the preset into.
+   */
+  configure(preset, partIndex = 0) {
+    const part = this.parts.get(partIndex) ?? createPart();
+    const {
+      harmonics,
+      gain,
+      modWheel,
+      velocityCurve,
+      voiceMode,
+      stiffness,
+      lfos,
+      modulations,
+      stereo,
+      effects,
+    } = resolveNXOPreset(preset);
+    // before anything changes, so a bad route leaves the part as it was
+    const routes = modulations.map((route) =>
+      compileRoute(route, Object.keys(harmonics).map(Number), lfos.length)
+    );
+    part.preset = preset;
+    part.gain = gain;
+    part.modWheel = modWheel;
+    part.voiceMode = voiceMode;
+    part.velocityTable = buildVelocityTable(velocityCurve);
+
+    let nxoDef = harmonics;
+    // Ensure every harmonic has at least the universal attack and release times
+    nxoDef = Object.fromEntries(
+      Object.entries(nxoDef).map(([h, params]) => [
+        h,
+        {
+          ...params,
+          attack: Math.max(params.attack, MINIMUM_ADR_PARAMETER_TIME),
+          release: Math.max(params.release, MINIMUM_ADR_PARAMETER_TIME),
+          decay: Math.max(params.decay, MINIMUM_ADR_PARAMETER_TIME),
+        },
+      ])
+    );
+
+    // for now, always normalize, can make this changeable later
+    nxoDef = normalizeNXODef(nxoDef);
+    part.definition = nxoDef;
+    part.computer = buildNXOComputer(nxoDef, this.sampleRate, 5, 32, this.envelopeMode);
+    part.harmonicKeys = Object.keys(nxoDef);
+    part.harmonics = part.harmonicKeys.map(Number);
+    const definitions = Object.values(nxoDef);
+    part.partialRatios = Float64Array.from(definitions, (params, k) =>
+      partialRatio(part.harmonics[k], {
+        detune: params.detune,
+        stiffness: params.stiffness ?? stiffness,
+      })
+    );
+    part.partialOffsets = Float64Array.from(
+      definitions,
+      ({ offsetHz = 0 }) => offsetHz / this.sampleRate
+    );
+    part.initialPhases = definitions.map(({ phase = 0 }) => phase);
+    part.stereo = stereo;
+    part.partialPans = partialPanOffsets(part.harmonics, stereo.spread * stereo.width);
+    part.lfos = lfos;
+    // free-running LFOs carry on through a recompile
+    part.lfoStates = lfos.map((_, i) => part.lfoStates[i] ?? createLFOState());
+    part.routes = routes;
+    if (Object.keys(effects).length > 0) {
+      part.effects ??= new EffectsRack(this.sampleRate);
+    }
+    part.effects?.configure(effects);
+    if (this.modGainTargets.length < part.harmonics.length) {
+      this.modGainTargets = new Float64Array(part.harmonics.length);
+      this.modRatioTargets = new Float64Array(part.harmonics.length);
+    }
+    part.velocitySensitivities = Object.values(nxoDef).map(
+      ({ velocitySensitivity = 1 }) => Math.min(Math.max(velocitySensitivity, 0), 1)
+    );
+    part.releaseNoteExpirationTime = computeReleasedNoteExpirationTime(nxoDef);
+    this.parts.set(partIndex, part);
+
+    this.GC_DEBOUNCE_SAMPLES = Math.ceil(
+      this.longestReleaseTime() * 1.5 * this.sampleRate
+    );
+  }
+
+  /**
+   * Summary of a compiled part for the UI. `peakLevel` is the highest level a single
+   * full-velocity note reaches if all of its harmonics line up in phase.
+   * @param {number} partIndex
+   * @returns {{ harmonicCount: number, longestRelease: number, peakLevel: number }|null}
+   */
+  describePart(partIndex) {
+    const part = this.parts.get(partIndex);
+    if (!part) return null;
+
+    const definitions = Object.values(part.definition);
+    const envelopeEnd = Math.max(
+      ...definitions.map(({ attack, decay }) => attack + decay)
+    );
+    const velocityGains = computeVelocityGains(part, 127);
+    // the envelope sum peaks during attack/decay or holds at sustain; 1 ms steps are plenty
+    const step = 0.001;
+    let peakLevel = 0;
+    for (let t = 0; t <= envelopeEnd + step; t += step) {
+      let sum = 0;
+      part.harmonicKeys.forEach((key, k) => {
+        sum += part.computer.processors.get(key).whileNoteOn(t) * velocityGains[k];
+      });
+      peakLevel = Math.max(peakLevel, sum);
+    }
+
+    return {
+      harmonicCount: part.harmonics.length,
+      longestRelease: part.releaseNoteExpirationTime,
+      peakLevel: peakLevel * part.gain * per_note_volume,
+    };
+  }
+
+  /**
+   * Sample each harmonic's envelope (as normalized for playback) for a note held
+   * `noteLength` seconds, through to the end of the longest release.
+   * `spectrum` holds each harmonic's normalized amplitude, i.e. its level at the envelope peak,
+   * and `ratios` its frequency relative to the fundamental once stiffness and detune are applied.
+   * Everything is keyed by the harmonic keys as written in the preset.
+   * @param {number} partIndex
+   * @param {number} noteLength - Seconds between note-on and note-off.
+   * @param {number} [pointCount=256]
+   * @returns {{ duration: number, curves: Record<string, Float32Array>, spectrum: Record<string, number>, ratios: Record<string, number> }|null}
+   */
+  envelopeCurves(partIndex, noteLength, pointCount = 256) {
+    const part = this.parts.get(partIndex);
+    if (!part) return null;
+
+    const duration = noteLength + part.releaseNoteExpirationTime;
+    const curves = {};
+    const spectrum = {};
+    const ratios = {};
+    part.harmonicKeys.forEach((key, k) => {
+      spectrum[key] = part.definition[key].amplitude;
+      ratios[key] = part.partialRatios[k];
+      const processor = part.computer.processors.get(key);
+      const curve = new Float32Array(pointCount);
+      for (let i = 0; i < pointCount; i++) {
+        const t = (i / (pointCount - 1)) * duration;
+        curve[i] =
+          t < noteLength
+            ? processor.whileNoteOn(t)
+            : processor.whileNoteOff(noteLength, t - noteLength);
+      }
+      curves[key] = curve;
+    });
+    return { duration, curves, spectrum, ratios };
+  }
+
+  /**
+   * Unload a part and silence its voices.
+   * @param {number} partIndex
+   */
+  removePart(partIndex) {
+    this.parts.delete(partIndex);
+    for (const [id, voice] of this.notes) {
+      if (voice.part === partIndex) {
+        this.notes.delete(id);
+      }
+    }
+  }
+
+  /**
+   * @param {number} voices - Voices that may sound at once, releases included. Excess voices fade out.
+   */
+  setPolyphony(voices) {
+    this.polyphony = Math.min(Math.max(Math.round(voices), 1), MAX_POLYPHONY);
+    while (this.countVoices() > this.polyphony) {
+      this.stealVoice();
+    }
+  }
+
+  /**
+   * Synthesize at `factor` times the output rate and decimate through an FIR low-pass, so partials
+   * between the output and the synthesis Nyquist frequencies are filtered out instead of aliasing.
+   * Parts are rebuilt for the new rate, which silences sounding voices and clears effect tails.
+   * @param {number} factor - One of `OVERSAMPLING_FACTORS`.
+   */
+  setOversampling(factor) {
+    if (!OVERSAMPLING_FACTORS.includes(factor)) {
+      throw new Error(`Unsupported oversampling factor: ${factor}`);
+    }
+    if (factor === this.oversampling) return;
+    this.oversampling = factor;
+    this.sampleRate = this.outputSampleRate * factor;
+    this.stealFadeSamples = Math.round(STEAL_FADE_TIME * this.sampleRate);
+    this.decimator = factor > 1 ? new FIRDecimator(this.outputSampleRate, factor) : null;
+    this.notes.clear();
+    for (const [partIndex, part] of this.parts) {
+      part.heldNotes = [];
+      part.monoVoice = null;
+      // effects are built for the rate they were created at
+      part.effects = null;
+      this.configure(part.preset, partIndex);
+    }
+  }
+
+  /**
+   * @param {number} fraction - Fraction of the Nyquist frequency (of the synthesis rate, when
+   *   oversampling) above which each voice fades its partials out, reaching silence at Nyquist.
+   */
+  setBandLimit(fraction) {
+    this.bandLimit = Math.min(Math.max(fraction, MIN_BAND_LIMIT), 1);
+  }
+
+  /**
+   * @param {OutputSmoothing} mode
+   */
+  setOutputSmoothing(mode) {
+    if (!OUTPUT_SMOOTHING_MODES.includes(mode)) {
+      throw new Error(`Unknown output smoothing: ${mode}`);
+    }
+    if (mode === this.smoothing) return;
+    this.smoothing = mode;
+    this.antiPopFilter = mode === "anti-pop" ? new StereoAntiPopFilter() : null;
+  }
+
+  /**
+   * @param {number} decibels - Master bus gain, ahead of the compressor and the output mode.
+   */
+  setMasterVolume(decibels) {
+    const clamped = Math.min(Math.max(decibels, MIN_MASTER_VOLUME), MAX_MASTER_VOLUME);
+    this.masterGain = Math.pow(10, clamped / 20);
+  }
+
+  /**
+   * @param {import('./DSP/Compressor.js').CompressorParams|null} params - Settings of the master
+   *   bus compressor, or null to bypass it.
+   */
+  setCompressor(params) {
+    if (!params) {
+      this.compressor = null;
+      return;
+    }
+    // one created at the output rate keeps its envelope across setting changes
+    this.compressor ??= new Compressor(this.outputSampleRate);
+    this.compressor.setParams(params);
+  }
+
+  /**
+   * @param {OutputMode} mode
+   */
+  setOutputMode(mode) {
+    if (!OUTPUT_MODES.includes(mode)) {
+      throw new Error(`Unknown output mode: ${mode}`);
+    }
+    this.outputMode = mode;
+    this.limiter =
+      mode === "limiter" ? (this.limiter ?? new LookaheadLimiter(this.outputSampleRate)) : null;
+  }
+
+  /**
+   * Gain reduction of the compressor and limiter in dB, and the output peak in dBFS,
+   * each the largest since the previous call.
+   */
+  takeMeter() {
+    const { compressorReduction, limiterReduction, peak } = this.meter;
+    this.meter = { compressorReduction: 0, limiterReduction: 0, peak: 0 };
+    return {
+      compressorReduction,
+      limiterReduction,
+      peak: peak > 0 ? 20 * Math.log10(peak) : -Infinity,
+    };
+  }
+
+  /**
+   * @param {StealPolicy} policy
+   */
+  setStealPolicy(policy) {
+    if (!STEAL_POLICIES.includes(policy)) {
+      throw new Error(`Unknown voice stealing policy: ${policy}`);
+    }
+    this.stealPolicy = policy;
+  }
+
+  /**
+   * Voice counts and the event counters, for display.
+   */
+  getDiagnostics() {
+    return {
+      ...this.diagnostics,
+      activeVoices: this.countVoices(),
+      fadingVoices: this.notes.size - this.countVoices(),
+      polyphony: this.polyphony,
+      stealPolicy: this.stealPolicy,
+    };
+  }
+
+  /**
+   * @param {PartRouting} routing
+   */
+  setRouting(routing) {
+    this.routing = routing;
+  }
+
+  longestReleaseTime() {
+    let longest = 0;
+    for (const part of this.parts.values()) {
+      longest = Math.max(longest, part.releaseNoteExpirationTime);
+    }
+    return longest;
+  }
+
+  /**
+   * Longest time any part's effects ring on after its voices have stopped, in seconds.
+   */
+  longestEffectsTail() {
+    let longest = 0;
+    for (const part of this.parts.values()) {
+      longest = Math.max(longest, part.effects?.tailTime ?? 0);
+    }
+    return longest;
+  }
+
+  /**
+   * Compiled parts that a note (or, without a note, a controller) on the given channel reaches.
+   * @param {number} channel - MIDI channel, 0-based.
+   * @param {number} [note] - MIDI note number; omitted for channel-wide controllers.
+   * @returns {number[]}
+   */
+  targetParts(channel, note) {
+    const { routing } = this;
+    const targets =
+      routing.mode === "zones"
+        ? routing.zones
+            .filter(
+              (zone) =>
+                note === undefined || (note >= zone.low && note <= zone.high)
+            )
+            .map((zone) => zone.part)
+        : [channel];
+    return Array.from(new Set(targets)).filter((part) => this.parts.has(part));
+  }
+
+  /**
+   * Retune the keyboard. Sounding voices move to their key's new pitch.
+   * @param {ArrayLike<number>} frequencies - Frequency in Hz for each of the 128 MIDI notes,
+   *   0 (or anything not a positive number) for keys that should not sound.
+   */
+  setTuning(frequencies) {
+    if (frequencies.length !== 128) {
+      throw new Error(`Expected 128 frequencies, got ${frequencies.length}`);
+    }
+    this.frequencies = Float64Array.from(frequencies, (frequency) =>
+      frequency > 0 && Number.isFinite(frequency) ? frequency : 0
+    );
+    for (const voice of this.notes.values()) {
+      const frequency = this.frequencies[voice.note];
+      if (frequency > 0) {
+        voice.frequency = voice.targetFrequency = frequency;
+        voice.glideSamples = 0;
+      }
+    }
+  }
+
+  noteOn(note, velocity = 127, channel = 0) {
+    // unmapped keys of the tuning stay silent
+    if (!(this.frequencies[note] > 0)) return;
+    for (const part of this.targetParts(channel, note)) {
+      if (this.parts.get(part).voiceMode.mode === "mono") {
+        this.monoNoteOn(part, note, velocity);
+      } else {
+        this.startVoice(part, note, velocity);
+      }
+    }
+  }
+
+  startVoice(partIndex, note, velocity) {
+    this.runNoteGarbageCollection();
+
+    const held = this.findHeldVoice(partIndex, note);
+    if (held) {
+      this.diagnostics.retriggeredNotes++;
+    }
+    if (this.stealPolicy === "same-note") {
+      // every earlier voice of this note gives way, releasing ones included
+      for (const voice of this.notes.values()) {
+        if (voice.part === partIndex && voice.note === note && !voice.fading) {
+          voice.fading = true;
+        }
+      }
+    } else if (held) {
+      // the old strike rings out through its release, as if the key had been let go first
+      this.releaseNote(held);
+    }
+
+    while (this.countVoices() >= this.polyphony) {
+      this.stealVoice();
+    }
+
+    const part = this.parts.get(partIndex);
+
+    const id = this.nextVoiceId++;
+    const voice = {
+      id,
+      part: partIndex,
+      note,
+      velocity,
+      samplesSinceNoteOn: 0,
+      on: true,
+      // Fundamental frequency in Hz; oscillators follow changes without resetting phase
+      frequency: this.frequencies[note],
+      // portamento: `frequency` is multiplied by `glideRatio` for `glideSamples` more samples
+      targetFrequency: this.frequencies[note],
+      glideRatio: 1,
+      glideSamples: 0,
+      // key released while the damper pedal was down
+      sustained: false,
+      // Per-harmonic oscillator phase in cycles, in [0, 1)
+      phases: startingPhases(part),
+      // Per-harmonic gain from velocity, so sensitive harmonics brighten hard hits
+      velocityGains: computeVelocityGains(part, velocity),
+      // per-harmonic envelope state in `incremental` mode, created when the voice is first rendered
+      envelopes: null,
+      // set once stolen: the voice ramps to silence and is then dropped
+      fading: false,
+      fadeGain: 1,
+      // key-synced LFO state, parallel to the part's LFOs (null for free-running ones)
+      lfoStates: createVoiceLFOStates(part),
+      // per-harmonic gain and pitch ratio from the modulation matrix as of the last segment,
+      // created when the voice is first rendered
+      modGains: null,
+      modRatios: null,
+      // per-harmonic band-limiting gain as of the last segment; negative until first rendered
+      aliasGains: new Float64Array(part.harmonics.length).fill(-1),
+    };
+    this.notes.set(id, voice);
+    this.diagnostics.peakVoices = Math.max(this.diagnostics.peakVoices, this.notes.size);
+    return voice;
+  }
+
+  /**
+   * Start moving a voice's pitch to a note, over `time` seconds (immediately if 0).
+   * The glide is linear in pitch, so every interval takes the same time.
+   */
+  glideVoice(voice, note, time) {
+    const target = this.frequencies[note];
+    const samples = Math.round(time * this.sampleRate);
+    voice.targetFrequency = target;
+    if (samples <= 0) {
+      voice.frequency = target;
+      voice.glideSamples = 0;
+      return;
+    }
+    voice.glideSamples = samples;
+    voice.glideRatio = Math.pow(target / voice.frequency, 1 / samples);
+  }
+
+  /**
+   * A mono part's voice, unless it has been stolen or collected since.
+   */
+  currentMonoVoice(part) {
+    const voice = part.monoVoice;
+    return voice && !voice.fading && this.notes.get(voice.id) === voice ? voice : null;
+  }
+
+  /**
+   * The held key a mono part should be sounding, by its note priority.
+   */
+  monoTarget(part) {
+    const { heldNotes } = part;
+    if (heldNotes.length === 0) return null;
+    const { priority } = part.voiceMode;
+    if (priority === "low" || priority === "high") {
+      return heldNotes.reduce((best, held) =>
+        (priority === "low" ? held.note < best.note : held.note > best.note) ? held : best
+      );
+    }
+    return heldNotes[heldNotes.length - 1];
+  }
+
+  monoNoteOn(partIndex, note, velocity) {
+    const part = this.parts.get(partIndex);
+    if (part.heldNotes.some((held) => held.note === note)) {
+      this.diagnostics.retriggeredNotes++;
+    }
+    part.heldNotes = part.heldNotes.filter((held) => held.note !== note);
+    part.heldNotes.push({ note, velocity });
+    this.followMonoTarget(partIndex);
+  }
+
+  monoNoteOff(partIndex, note) {
+    const part = this.parts.get(partIndex);
+    const index = part.heldNotes.findIndex((held) => held.note === note);
+    if (index < 0) {
+      this.diagnostics.strayNoteOffs++;
+      return;
+    }
+    part.heldNotes.splice(index, 1);
+    if (part.heldNotes.length > 0) {
+      this.followMonoTarget(partIndex);
+      return;
+    }
+    const voice = this.currentMonoVoice(part);
+    if (!voice || !voice.on) return;
+    if (part.sustainPedalDown) {
+      voice.sustained = true;
+    } else {
+      this.releaseNote(voice);
+    }
+  }
+
+  /**
+   * Point a mono part's voice at the key that should sound. While another key is still held,
+   * a legato part only glides to the new pitch; otherwise the envelopes restart on a new voice,
+   * which still glides from wherever the previous one was.
+   */
+  followMonoTarget(partIndex) {
+    const part = this.parts.get(partIndex);
+    const target = this.monoTarget(part);
+    const voice = this.currentMonoVoice(part);
+    // a voice that is on and not held by the pedal means a key was already down
+    const keyWasDown = voice !== null && voice.on && !voice.sustained;
+    if (keyWasDown && voice.note === target.note) return;
+
+    const { legato, portamento } = part.voiceMode;
+    if (keyWasDown && legato) {
+      voice.note = target.note;
+      this.glideVoice(voice, target.note, portamento);
+      return;
+    }
+
+    if (voice) {
+      voice.fading = true;
+    }
+    const next = this.startVoice(partIndex, target.note, target.velocity);
+    part.monoVoice = next;
+    if (voice && portamento > 0) {
+      next.frequency = voice.frequency;
+      this.glideVoice(next, target.note, portamento);
+    }
+  }
+
+  /**
+   * The voice a note-off for this note would release: key down (or held only by the pedal), not fading.
+   * @param {number} partIndex
+   * @param {number} note
+   */
+  findHeldVoice(partIndex, note) {
+    for (const voice of this.notes.values()) {
+      if (voice.part === partIndex && voice.note === note && voice.on && !voice.fading) {
+        return voice;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Voices counted against the polyphony limit; fading voices are already on their way out.
+   */
+  countVoices() {
+    let count = 0;
+    for (const voice of this.notes.values()) {
+      if (!voice.fading) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Current envelope level of a voice, summed over its harmonics.
+   */
+  voiceLevel(voice) {
+    const part = this.parts.get(voice.part);
+    if (!part) return 0;
+    const t = voice.samplesSinceNoteOn / this.sampleRate;
+    let level = 0;
+    part.harmonicKeys.forEach((key, k) => {
+      const processor = part.computer.processors.get(key);
+      const envelope = voice.on
+        ? processor.whileNoteOn(t)
+        : processor.whileNoteOff(voice.totalTimeNoteWasOn, t - voice.totalTimeNoteWasOn);
+      level += envelope * (voice.velocityGains[k] ?? 1);
+    });
+    return level;
+  }
+
+  /**
+   * Fade out one voice chosen by the stealing policy.
+   */
+  stealVoice() {
+    let victim = null;
+    let victimScore = Infinity;
+    for (const voice of this.notes.values()) {
+      if (voice.fading) continue;
+      let score;
+      if (this.stealPolicy === "quietest") {
+        score = this.voiceLevel(voice);
+      } else {
+        // oldest first; for the released-first policies, any released voice beats any held one
+        score = -voice.samplesSinceNoteOn;
+        if (this.stealPolicy !== "oldest" && !voice.on) {
+          score -= Number.MAX_SAFE_INTEGER / 2;
+        }
+      }
+      if (score < victimScore) {
+        victimScore = score;
+        victim = voice;
+      }
+    }
+    if (victim) {
+      victim.fading = true;
+      this.diagnostics.voicesStolen++;
+    }
+  }
+
+  /**
+   * Whether a note on the given channel currently has a held voice on every part it routes to.
+   * @param {number} note
+   * @param {number} [channel=0]
+   */
+  isNoteSounding(note, channel = 0) {
+    return this.targetParts(channel, note).every(
+      (part) => this.findHeldVoice(part, note) !== null
+    );
+  }
+
+  /**
+   * Release a note. Note-offs without a held voice (stolen, duplicated, or never started) are
+   * ignored and counted in the diagnostics.
+   * @param {number} note
+   * @param {number} [channel=0]
+   */
+  noteOff(note, channel = 0) {
+    for (const part of this.targetParts(channel, note)) {
+      if (this.parts.get(part).voiceMode.mode === "mono") {
+        this.monoNoteOff(part, note);
+        continue;
+      }
+      const voice = this.findHeldVoice(part, note);
+      if (!voice || voice.sustained) {
+        this.diagnostics.strayNoteOffs++;
+        continue;
+      }
+      if (this.parts.get(part).sustainPedalDown) {
+        voice.sustained = true;
+        continue;
+      }
+      this.releaseNote(voice);
+    }
+  }
+
+  /**
+   * Incremental envelope states for a voice `position` samples after its note-on.
+   * @returns {IncrementalEnvelope[]}
+   */
+  createVoiceEnvelopes(part, position) {
+    return part.harmonicKeys.map(
+      (key) => new IncrementalEnvelope(part.computer.processors.get(key).incremental, position)
+    );
+  }
+
+  releaseNote(nd) {
+    nd.on = false;
+    nd.sustained = false;
+    nd.totalTimeNoteWasOn = nd.samplesSinceNoteOn / this.sampleRate;
+
+    // debounce GC: reset counter and mark pending
+    this.pendingGCDebounce = true;
+    this.samplesSinceLastGCCounter = 0;
+  }
+
+  /**
+   * Damper pedal (CC64). Lifting it releases every note whose key is already up.
+   * @param {boolean} down
+   * @param {number} [channel=0]
+   */
+  setSustainPedal(down, channel = 0) {
+    for (const partIndex of this.targetParts(channel)) {
+      this.parts.get(partIndex).sustainPedalDown = down;
+      if (down) continue;
+      for (const nd of this.notes.values()) {
+        if (nd.part === partIndex && nd.on && nd.sustained) {
+          this.releaseNote(nd);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {number} value - Pitch wheel position in [-1, 1].
+   * @param {number} [channel=0]
+   */
+  setPitchBend(value, channel = 0) {
+    for (const partIndex of this.targetParts(channel)) {
+      this.parts.get(partIndex).pitchBend = Math.min(Math.max(value, -1), 1);
+    }
+  }
+
+  /**
+   * @param {number} semitones - Bend at full wheel deflection, in either direction,
+   *   clamped to 0–`MAX_PITCH_BEND_RANGE`.
+   */
+  setPitchBendRange(semitones) {
+    if (!Number.isFinite(semitones)) {
+      throw new Error(`Invalid pitch bend range: ${semitones}`);
+    }
+    this.pitchBendRange = Math.min(Math.max(semitones, 0), MAX_PITCH_BEND_RANGE);
+  }
+
+  /**
+   * @param {number} value - Mod wheel position in [0, 1].
+   * @param {number} [channel=0]
+   */
+  setModWheel(value, channel = 0) {
+    for (const partIndex of this.targetParts(channel)) {
+      this.parts.get(partIndex).modWheelValue = Math.min(Math.max(value, 0), 1);
+    }
+  }
+
+  /**
+   * Fill a part's per-sample pitch and gain modulation for the next `count` frames.
+   * Controller changes ramp in over the segment to avoid zipper noise.
+   */
+  computeModulationBuffers(part, count) {
+    const { modWheel } = part;
+    const bendFrom = part.appliedPitchBendSemitones;
+    const bendTo = part.pitchBend * this.pitchBendRange;
+    const wheelFrom = part.appliedModWheelValue;
+    const wheelTo = part.modWheelValue;
+    const lfoIncrement = modWheel.rate / this.sampleRate;
+    let lfoPhase = part.lfoPhase;
+
+    for (let i = 0; i < count; i++) {
+      const ramp = (i + 1) / count;
+      const wheel = wheelFrom + (wheelTo - wheelFrom) * ramp;
+      const lfo = Math.sin(TWO_PI * lfoPhase);
+      lfoPhase += lfoIncrement;
+      if (lfoPhase >= 1) {
+        lfoPhase -= Math.floor(lfoPhase);
+      }
+
+      let semitones = bendFrom + (bendTo - bendFrom) * ramp;
+      let gain = 1;
+      if (modWheel.target === "vibrato") {
+        semitones += lfo * modWheel.depth * wheel;
+      } else if (modWheel.target === "tremolo") {
+        gain = 1 - modWheel.depth * wheel * (0.5 - 0.5 * lfo);
+      }
+      part.pitchModBuffer[i] = Math.pow(2, semitones / 12);
+      part.ampModBuffer[i] = gain;
+    }
+
+    part.lfoPhase = lfoPhase;
+    part.appliedPitchBendSemitones = bendTo;
+    part.appliedModWheelValue = wheelTo;
+  }
+
+  /**
+   * Evaluate a part's modulation matrix for a voice into per-harmonic gains and pitch ratios.
+   * @param {ReturnType<typeof createPart>} part
+   * @param {object} voice
+   * @param {number} elapsed - Frames since the voice's note-on, for LFO delays.
+   * @param {Float64Array} gains
+   * @param {Float64Array} ratios
+   */
+  evaluateModulations(part, voice, elapsed, gains, ratios) {
+    const count = part.harmonics.length;
+    // sum amplitude fractions and semitones first
+    gains.fill(0, 0, count);
+    ratios.fill(0, 0, count);
+    for (const route of part.routes) {
+      let value;
+      if (route.source === "lfo") {
+        const lfo = part.lfos[route.lfo];
+        const state = voice.lfoStates[route.lfo] ?? part.lfoStates[route.lfo];
+        const fadeIn = lfo.delay > 0 ? Math.min(elapsed / (lfo.delay * this.sampleRate), 1) : 1;
+        value = lfoOutput(lfo, state) * lfo.depth * fadeIn;
+      } else if (route.source === "velocity") {
+        value = voice.velocity / 127;
+      } else if (route.source === "modWheel") {
+        value = part.modWheelValue;
+      } else {
+        value = (voice.note - KEY_TRACK_CENTER) / 12;
+      }
+      const into = route.destination === "pitch" ? ratios : gains;
+      for (const k of route.targets) {
+        into[k] += route.amount * value;
+      }
+    }
+    for (let k = 0; k < count; k++) {
+      gains[k] = Math.max(1 + gains[k], 0);
+      ratios[k] = Math.pow(2, ratios[k] / 12);
+    }
+  }
+
+  runNoteGarbageCollection() {
+    for (const [noteId, noteData] of this.notes) {
+      if (!noteData.on) {
+        const timeSinceOff =
+          noteData.samplesSinceNoteOn / this.sampleRate -
+          noteData.totalTimeNoteWasOn;
+        const part = this.parts.get(noteData.part);
+        if (!part || timeSinceOff > part.releaseNoteExpirationTime) {
+          this.notes.delete(noteId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Queue a performance event for the frame it carries. Events at or before the current frame
+   * apply at the start of the next `process` call; events at the same frame keep their order.
+   * @param {ScheduledEvent} event
+   */
+  schedule(event) {
+    let index = this.events.length;
+    while (index > 0 && this.events[index - 1].frame > event.frame) {
+      index--;
+    }
+    this.events.splice(index, 0, event);
+  }
+
+  /**
+   * @param {ScheduledEvent} event
+   */
+  applyEvent(event) {
+    const { type, channel = 0 } = event;
+    if (type === "noteOn") {
+      this.noteOn(event.note, event.velocity ?? 127, channel);
+    } else if (type === "noteOff") {
+      this.noteOff(event.note, channel);
+    } else if (type === "sustain") {
+      this.setSustainPedal(event.down, channel);
+    } else if (type === "pitchBend") {
+      this.setPitchBend(event.value, channel);
+    } else if (type === "modWheel") {
+      this.setModWheel(event.value, channel);
+    }
+  }
+
+  /**
+   * Synthesize `count` frames (at most `MAX_SEGMENT_SIZE`) into the stereo mix buffers.
+   * Each part's voices are summed separately so the part's effects can process them.
+   * @param {number} count
+   */
+  renderSegment(count) {
+    const { sampleRate } = this;
+
+    for (const part of this.parts.values()) {
+      part.mixLeft.fill(0, 0, count);
+      part.mixRight.fill(0, 0, count);
+      this.computeModulationBuffers(part, count);
+      part.lfos.forEach((lfo, i) => {
+        if (!lfo.keySync) advanceLFO(lfo, part.lfoStates[i], count, sampleRate);
+      });
+    }
+
+    // Sum all active notes + harmonics
+    for (const noteData of this.notes.values()) {
+      const part = this.parts.get(noteData.part);
+      const { computer, harmonics, harmonicKeys, partialRatios, partialOffsets } = part;
+      const { pitchModBuffer, ampModBuffer, modWheel, mixLeft, mixRight } = part;
+      const brightnessGain =
+        modWheel.target === "brightness"
+          ? 1 + modWheel.depth * part.modWheelValue
+          : 1;
+      const { pan, keyFollow, width } = part.stereo;
+      const voicePan =
+        pan + (keyFollow * width * (noteData.note - KEY_TRACK_CENTER)) / KEY_FOLLOW_SPAN;
+
+      // A recompile may change the harmonic count while notes are sounding
+      if (noteData.phases.length !== harmonics.length) {
+        noteData.phases = startingPhases(part);
+        noteData.velocityGains = computeVelocityGains(part, noteData.velocity);
+        noteData.envelopes = null;
+        noteData.aliasGains = new Float64Array(harmonics.length).fill(-1);
+      }
+      if (this.envelopeMode === "incremental" && !noteData.envelopes) {
+        noteData.envelopes = this.createVoiceEnvelopes(part, noteData.samplesSinceNoteOn);
+      }
+
+      // The matrix is evaluated once per segment; gains and pitch ratios ramp to the new values
+      const modulated = part.routes.length > 0;
+      const modGains = this.modGainTargets;
+      const modRatios = this.modRatioTargets;
+      if (modulated) {
+        if (noteData.lfoStates.length !== part.lfos.length) {
+          noteData.lfoStates = createVoiceLFOStates(part);
+        }
+        noteData.lfoStates.forEach((state, i) => {
+          if (state) advanceLFO(part.lfos[i], state, count, sampleRate);
+        });
+        this.evaluateModulations(
+          part,
+          noteData,
+          noteData.samplesSinceNoteOn + count,
+          modGains,
+          modRatios
+        );
+        // a new voice starts where its first segment ends
+        if (!noteData.modGains || noteData.modGains.length !== harmonics.length) {
+          noteData.modGains = modGains.slice(0, harmonics.length);
+          noteData.modRatios = modRatios.slice(0, harmonics.length);
+        }
+      }
+      const pitch = this.pitchBuffer;
+      let frequency = noteData.frequency;
+      for (let i = 0; i < count; i++) {
+        pitch[i] = (frequency * pitchModBuffer[i]) / sampleRate;
+        if (noteData.glideSamples > 0) {
+          frequency *= noteData.glideRatio;
+          if (--noteData.glideSamples === 0) {
+            frequency = noteData.targetFrequency;
+          }
+        }
+      }
+      noteData.frequency = frequency;
+
+      const envelope = this.envelopeBuffer;
+      const fade = this.fadeBuffer;
+      if (noteData.fading) {
+        const step = 1 / this.stealFadeSamples;
+        for (let i = 0; i < count; i++) {
+          fade[i] = Math.max(noteData.fadeGain - step * i, 0);
+        }
+        noteData.fadeGain = Math.max(noteData.fadeGain - step * count, 0);
+      }
+      for (let k = 0; k < harmonics.length; k++) {
+        const harmonic = harmonics[k];
+        const harmonicGain =
+          (harmonic > 1 ? brightnessGain : 1) *
+          noteData.velocityGains[k] *
+          part.gain *
+          per_note_volume;
+        const processor = computer.processors.get(harmonicKeys[k]);
+
+        // Envelope first, so the oscillator loop below is the same for every envelope mode
+        if (noteData.envelopes) {
+          const state = noteData.envelopes[k];
+          state.coefficients = processor.incremental;
+          if (!noteData.on && !state.released) {
+            state.release(
+              processor.whileNoteOff(noteData.totalTimeNoteWasOn, 0),
+              noteData.samplesSinceNoteOn -
+                Math.round(noteData.totalTimeNoteWasOn * sampleRate)
+            );
+          }
+          for (let i = 0; i < count; i++) {
+            envelope[i] = state.next();
+          }
+        } else if (noteData.on) {
+          for (let i = 0; i < count; i++) {
+            envelope[i] = processor.whileNoteOn((noteData.samplesSinceNoteOn + i) / sampleRate);
+          }
+        } else {
+          for (let i = 0; i < count; i++) {
+            const t = (noteData.samplesSinceNoteOn + i) / sampleRate;
+            envelope[i] = processor.whileNoteOff(
+              noteData.totalTimeNoteWasOn,
+              t - noteData.totalTimeNoteWasOn
+            );
+          }
+        }
+
+        if (noteData.fading) {
+          for (let i = 0; i < count; i++) {
+            envelope[i] *= fade[i];
+          }
+        }
+
+        let ratio = partialRatios[k];
+        let ratioStep = 0;
+        if (modulated) {
+          const gainFrom = noteData.modGains[k];
+          const gainStep = (modGains[k] - gainFrom) / count;
+          for (let i = 0; i < count; i++) {
+            envelope[i] *= gainFrom + gainStep * (i + 1);
+          }
+          ratioStep = (ratio * (modRatios[k] - noteData.modRatios[k])) / count;
+          ratio *= noteData.modRatios[k];
+          noteData.modGains[k] = modGains[k];
+          noteData.modRatios[k] = modRatios[k];
+        }
+
+        const position = Math.min(Math.max(voicePan + part.partialPans[k], -1), 1);
+        const gainL = harmonicGain * panGain(position);
+        const gainR = harmonicGain * panGain(-position);
+
+        const offset = partialOffsets[k];
+        let phase = noteData.phases[k];
+
+        // partials nearing Nyquist fade out, following pitch bends, glides and modulation
+        const aliasGain = bandLimitGain(
+          Math.abs((ratio + ratioStep * count) * pitch[count - 1] + offset),
+          this.bandLimit
+        );
+        const aliasFrom = noteData.aliasGains[k] < 0 ? aliasGain : noteData.aliasGains[k];
+        noteData.aliasGains[k] = aliasGain;
+        if (aliasFrom === 0 && aliasGain === 0) {
+          // silent, but the phase keeps running for when it comes back into range
+          for (let i = 0; i < count; i++) {
+            ratio += ratioStep;
+            phase += ratio * pitch[i] + offset;
+          }
+          noteData.phases[k] = phase - Math.floor(phase);
+          continue;
+        }
+        if (aliasFrom !== 1 || aliasGain !== 1) {
+          const aliasStep = (aliasGain - aliasFrom) / count;
+          for (let i = 0; i < count; i++) {
+            envelope[i] *= aliasFrom + aliasStep * (i + 1);
+          }
+        }
+
+        for (let i = 0; i < count; i++) {
+          const sin = Math.sin(TWO_PI * phase);
+          ratio += ratioStep;
+          phase += ratio * pitch[i] + offset;
+          // a negative offset can run a low partial backwards
+          if (phase >= 1 || phase < 0) {
+            phase -= Math.floor(phase);
+          }
+          const sample = sin * envelope[i] * ampModBuffer[i];
+          mixLeft[i] += sample * gainL;
+          mixRight[i] += sample * gainR;
+        }
+        noteData.phases[k] = phase;
+      }
+    }
+
+    for (const [id, noteData] of this.notes) {
+      noteData.samplesSinceNoteOn += count;
+      if (noteData.fading && noteData.fadeGain <= 0) {
+        this.notes.delete(id);
+      }
+    }
+
+    const { mixLeft, mixRight, effectLeft, effectRight } = this;
+    mixLeft.fill(0, 0, count);
+    mixRight.fill(0, 0, count);
+    for (const part of this.parts.values()) {
+      const { effects } = part;
+      let partLeft = part.mixLeft;
+      let partRight = part.mixRight;
+      // effects run even with no voices sounding, so delays and reverb ring out
+      if (effects?.active) {
+        effectLeft.set(partLeft.subarray(0, count));
+        effectRight.set(partRight.subarray(0, count));
+        effects.process(effectLeft, effectRight, count);
+        partLeft = effectLeft;
+        partRight = effectRight;
+      }
+      for (let i = 0; i < count; i++) {
+        mixLeft[i] += partLeft[i];
+        mixRight[i] += partRight[i];
+      }
+    }
+  }
+
+  /**
+   * Synthesize `count` output frames into the outputs at `offset`, decimating when oversampling,
+   * and pass them through the master bus.
+   * @param {Float32Array} outputL
+   * @param {Float32Array} outputR
+   * @param {number} offset
+   * @param {number} count
+   */
+  renderOutput(outputL, outputR, offset, count) {
+    const { mixLeft, mixRight, decimator } = this;
+    if (decimator) {
+      let written = 0;
+      for (let remaining = count * this.oversampling; remaining > 0; ) {
+        const segment = Math.min(remaining, MAX_SEGMENT_SIZE);
+        this.renderSegment(segment);
+        written += decimator.process(mixLeft, mixRight, segment, outputL, outputR, offset + written);
+        remaining -= segment;
+      }
+    } else {
+      this.renderSegment(count);
+      outputL.set(mixLeft.subarray(0, count), offset);
+      outputR.set(mixRight.subarray(0, count), offset);
+    }
+
+    const { meter, masterGain } = this;
+    this.antiPopFilter?.processBlock(outputL, outputR, offset, count);
+    if (masterGain !== 1) {
+      for (let i = offset; i < offset + count; i++) {
+        outputL[i] *= masterGain;
+        outputR[i] *= masterGain;
+      }
+    }
+    if (this.compressor) {
+      const reduction = this.compressor.process(outputL, outputR, offset, count);
+      meter.compressorReduction = Math.max(meter.compressorReduction, reduction);
+    }
+    if (this.limiter) {
+      const reduction = this.limiter.process(outputL, outputR, offset, count);
+      meter.limiterReduction = Math.max(meter.limiterReduction, reduction);
+    } else if (this.outputMode === "soft-clip") {
+      for (let i = offset; i < offset + count; i++) {
+        outputL[i] = softClip(outputL[i]);
+        outputR[i] = softClip(outputR[i]);
+      }
+    }
+    for (let i = offset; i < offset + count; i++) {
+      meter.peak = Math.max(meter.peak, Math.abs(outputL[i]), Math.abs(outputR[i]));
+    }
+  }
+
+  /**
+   * Render the next block of output, applying scheduled events at their exact frames.
+   * @param {Float32Array} outputL
+   * @param {Float32Array} outputR
+   */
+  process(outputL, outputR) {
+    const outputLen = outputL.length;
+
+    let offset = 0;
+    while (offset < outputLen) {
+      while (this.events.length && this.events[0].frame <= this.frame) {
+        this.applyEvent(this.events.shift());
+      }
+      const untilNextEvent = this.events.length
+        ? this.events[0].frame - this.frame
+        : Infinity;
+      const count = Math.min(outputLen - offset, untilNextEvent, MAX_SEGMENT_SIZE);
+
+      if (this.ready) {
+        this.renderOutput(outputL, outputR, offset, count);
+      } else {
+        outputL.fill(0, offset, offset + count);
+        outputR.fill(0, offset, offset + count);
+      }
+
+      offset += count;
+      this.frame += count;
+    }
+
+    // —— GC debounce check ——
+    if (this.pendingGCDebounce) {
+      this.samplesSinceLastGCCounter += outputLen * this.oversampling;
+      if (this.samplesSinceLastGCCounter >= this.GC_DEBOUNCE_SAMPLES) {
+        this.runNoteGarbageCollection();
+        this.pendingGCDebounce = false;
+      }
+    }
+  }
+}
+
+/**
+ * @typedef {object} TimedNote
+ * @property {number} note - MIDI note number.
+ * @property {number} time - Note-on time in seconds from the start of the render.
+ * @property {number} duration - Time in seconds the note is held before its release.
+ * @property {number} [velocity=127] - MIDI velocity (1–127).
+ * @property {number} [channel=0] - MIDI channel (0-based), which selects the part in `channel` routing.
+ */
+
+/**
+ * A controller change during an offline render, e.g. from a recorded performance.
+ * @typedef {(
+ *   { type: 'sustain', down: boolean, channel?: number } |
+ *   { type: 'pitchBend', value: number, channel?: number } |
+ *   { type: 'modWheel', value: number, channel?: number }
+ * ) & { time: number }} TimedController
+ */
+
+/**
+ * Render a preset playing a list of notes, faster than realtime and without an AudioContext.
+ * Note events are scheduled at their exact frames, as the worklet does with timestamped messages.
+ *
+ * @param {import('./nxo.js').NXODef|import('./nxo.js').NXOPreset|Array<import('./nxo.js').NXODef|import('./nxo.js').NXOPreset>} presets -
+ *   Preset definition (as returned by a preset script), or an array of them indexed by part.
+ * @param {TimedNote[]} notes - Notes to play.
+ * @param {object} [options]
+ * @param {number} [options.sampleRate=48000] - Output sample rate in Hz.
+ * @param {PartRouting} [options.routing] - How notes reach parts. Defaults to `channel` routing.
+ * @param {number} [options.duration] - Total length in seconds. Defaults to the end of the last release
+ *   plus the time the effects take to ring out.
+ * @param {import('./ADSR.js').EnvelopeMode} [options.envelopeMode] - See `NXOEngine`.
+ * @param {ArrayLike<number>} [options.tuning] - Frequency of each MIDI note, see `NXOEngine.setTuning`.
+ *   Defaults to 12-tone equal temperament at A4 = 440 Hz.
+ * @param {number} [options.oversampling=1] - See `NXOEngine.setOversampling`.
+ * @param {number} [options.bandLimit] - See `NXOEngine.setBandLimit`.
+ * @param {OutputSmoothing} [options.smoothing='off'] - See `NXOEngine.setOutputSmoothing`.
+ * @param {number} [options.volume=0] - Master volume in dB, see `NXOEngine.setMasterVolume`.
+ * @param {import('./DSP/Compressor.js').CompressorParams} [options.compressor] - Master bus
+ *   compressor settings; no compressor when omitted.
+ * @param {OutputMode} [options.outputMode='soft-clip'] - See `NXOEngine.setOutputMode`.
+ * @param {TimedController[]} [options.controllers] - Pedal, pitch bend and mod wheel moves,
+ *   in seconds from the start of the render like the notes.
+ * @param {number} [options.pitchBendRange] - See `NXOEngine.setPitchBendRange`.
+ * @returns {{ left: Float32Array, right: Float32Array, sampleRate: number }}
+ */
+export function renderNXO(
+  presets,
+  notes,
+  {
+    sampleRate = 48000,
+    duration,
+    routing,
+    envelopeMode,
+    tuning,
+    oversampling = 1,
+    bandLimit,
+    smoothing = "off",
+    volume = 0,
+    compressor,
+    outputMode = "soft-clip",
+    controllers = [],
+    pitchBendRange,
+  } = {}
+) {
+  const engine = new NXOEngine(sampleRate, { envelopeMode, oversampling });
+  if (tuning) engine.setTuning(tuning);
+  if (bandLimit !== undefined) engine.setBandLimit(bandLimit);
+  engine.setOutputSmoothing(smoothing);
+  engine.setMasterVolume(volume);
+  engine.setCompressor(compressor ?? null);
+  engine.setOutputMode(outputMode);
+  if (pitchBendRange !== undefined) engine.setPitchBendRange(pitchBendRange);
+  (Array.isArray(presets) ? presets : [presets]).forEach((preset, part) => {
+    if (preset) engine.configure(preset, part);
+  });
+  if (routing) engine.setRouting(routing);
+
+  const events = [];
+  for (const { note, time, duration: held, velocity = 127, channel = 0 } of notes) {
+    events.push({ type: "noteOn", note, velocity, channel, frame: Math.round(time * sampleRate) });
+    events.push({ type: "noteOff", note, channel, frame: Math.round((time + held) * sampleRate) });
+  }
+  for (const { time, ...controller } of controllers) {
+    events.push({ ...controller, frame: Math.round(time * sampleRate) });
+  }
+  // note-offs go first when they coincide with a note-on, so repeated notes retrigger
+  events.sort(
+    (a, b) =>
+      a.frame - b.frame ||
+      (a.type === "noteOff" ? 0 : 1) - (b.type === "noteOff" ? 0 : 1)
+  );
+
+  if (duration === undefined) {
+    const lastFrame = events.length ? events[events.length - 1].frame : 0;
+    duration = lastFrame / sampleRate + engine.longestReleaseTime() + engine.longestEffectsTail();
+  }
+  const totalFrames = Math.ceil(duration * sampleRate);
+  const left = new Float32Array(totalFrames);
+  const right = new Float32Array(totalFrames);
+
+  for (const event of events) {
+    engine.schedule(event);
+  }
+
+  const blockL = new Float32Array(RENDER_QUANTUM_SIZE);
+  const blockR = new Float32Array(RENDER_QUANTUM_SIZE);
+
+  for (let start = 0; start < totalFrames; start += RENDER_QUANTUM_SIZE) {
+    engine.process(blockL, blockR);
+    const count = Math.min(RENDER_QUANTUM_SIZE, totalFrames - start);
+    left.set(blockL.subarray(0, count), start);
+    right.set(blockR.subarray(0, count), start);
+  }
+
+  return { left, right, sampleRate };
+}
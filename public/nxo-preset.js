@@ -0,0 +1,547 @@
+/**
+ * Declarative NXO preset format and its validator.
+ *
+ * A preset is plain JSON data:
+ *
+ *   {
+ *     "name": "Soft Flute",
+ *     "metadata": { "author": "...", "description": "..." },
+ *     "gain": 1,
+ *     "velocityCurve": "exponential",
+ *     "modWheel": { "target": "vibrato", "depth": 0.3 },
+ *     "voiceMode": { "mode": "mono", "priority": "last", "legato": true, "portamento": 0.08 },
+ *     "stiffness": 0.0004,
+ *     "lfos": [{ "rate": 6.7, "waveform": "sine", "delay": 0.2, "keySync": false }],
+ *     "modulations": [{ "source": "lfo1", "destination": "amplitude", "amount": 0.3, "harmonics": [2] }],
+ *     "stereo": { "pan": 0, "keyFollow": 0.5, "spread": 0.2, "width": 1 },
+ *     "effects": {
+ *       "eq": { "bands": [{ "type": "highshelf", "frequency": 4000, "gain": -3 }] },
+ *       "reverb": { "size": 0.6, "damping": 0.5, "mix": 0.2 }
+ *     },
+ *     "harmonics": {
+ *       "1": { "amplitude": 1, "attack": 0.05, "decay": 0.2, "sustain": 0.8, "release": 0.3 },
+ *       "2": {
+ *         "amplitude": 0.5, "attack": 0.05, "decay": 0.4, "sustain": 0.3, "release": 0.3,
+ *         "detune": 3, "offsetHz": 0.5, "phase": "random"
+ *       }
+ *     }
+ *   }
+ *
+ * A bare harmonic map (what the original preset scripts return) is accepted as `{ harmonics: map }`.
+ * Validation never throws: it reports every problem with the path of the offending field,
+ * and on success returns a copy holding only known fields.
+ */
+
+import { MAX_CHORUS_DEPTH } from "./DSP/Chorus.js";
+import { MAX_DELAY_TIME, MAX_FEEDBACK } from "./DSP/FeedbackDelay.js";
+import { MAX_PRE_DELAY } from "./DSP/Reverb.js";
+
+/**
+ * Upper bound on partials per preset, so a runaway script cannot stall the audio thread.
+ */
+export const MAX_HARMONICS = 64;
+
+/**
+ * Upper bound on the preset's output gain.
+ */
+export const MAX_PRESET_GAIN = 16;
+
+/**
+ * Upper bound on each envelope stage (attack, decay, release), in seconds.
+ */
+export const MAX_ENVELOPE_STAGE = 60;
+
+/**
+ * Upper bound on the portamento time, in seconds.
+ */
+export const MAX_PORTAMENTO = 10;
+
+/**
+ * Upper bounds on the modulation matrix, which is evaluated for every voice.
+ */
+export const MAX_LFOS = 8;
+export const MAX_MODULATIONS = 32;
+
+/**
+ * Upper bound on LFO rates, in Hz.
+ */
+export const MAX_LFO_RATE = 50;
+
+/**
+ * Upper bounds on the parametric EQ.
+ */
+export const MAX_EQ_BANDS = 8;
+export const MAX_EQ_GAIN = 24;
+export const MAX_EQ_FREQUENCY = 20000;
+export const MAX_EQ_Q = 20;
+
+/**
+ * @typedef {object} PresetFieldError
+ * @property {string} path - Dotted path to the field, e.g. `harmonics.1.attack`. Empty for the preset itself.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {{ ok: true, preset: import('./nxo.js').NXOPreset } | { ok: false, errors: PresetFieldError[] }} PresetValidationResult
+ */
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// —— field checks: return an error message, or null when the value is fine ——
+
+function nonNegative(value) {
+  if (!isFiniteNumber(value)) return "must be a finite number";
+  if (value < 0) return "must not be negative";
+  return null;
+}
+
+function unitInterval(value) {
+  if (!isFiniteNumber(value)) return "must be a finite number";
+  if (value < 0 || value > 1) return "must be between 0 and 1";
+  return null;
+}
+
+function finite(value) {
+  return isFiniteNumber(value) ? null : "must be a finite number";
+}
+
+function boolean(value) {
+  return typeof value === "boolean" ? null : "must be true or false";
+}
+
+function atMost(max) {
+  return (value) =>
+    nonNegative(value) ?? (value > max ? `must be at most ${max}` : null);
+}
+
+function phaseOrRandom(value) {
+  if (value === "random") return null;
+  if (!isFiniteNumber(value)) return 'must be a number of cycles or "random"';
+  if (value < 0 || value >= 1) return "must be at least 0 and less than 1 (cycles)";
+  return null;
+}
+
+function modulationSource(value) {
+  if (["velocity", "modWheel", "keyTrack"].includes(value)) return null;
+  if (typeof value === "string" && /^lfo[1-9]\d*$/.test(value)) return null;
+  return 'must be "lfo1", "lfo2", …, "velocity", "modWheel" or "keyTrack"';
+}
+
+function harmonicKeyList(value) {
+  if (!Array.isArray(value)) return "must be an array of harmonic keys";
+  return value.every((key) => isFiniteNumber(key) && key > 0)
+    ? null
+    : "must be an array of positive numbers";
+}
+
+function between(min, max) {
+  return (value) => {
+    if (!isFiniteNumber(value)) return "must be a finite number";
+    if (value < min || value > max) return `must be between ${min} and ${max}`;
+    return null;
+  };
+}
+
+function array(value) {
+  return Array.isArray(value) ? null : "must be an array";
+}
+
+function oneOf(...options) {
+  return (value) =>
+    options.includes(value)
+      ? null
+      : `must be one of ${options.map((o) => JSON.stringify(o)).join(", ")}`;
+}
+
+/**
+ * Fields allowed on each harmonic.
+ * @type {Record<string, { required?: boolean, check: (value: unknown) => string|null }>}
+ */
+const HARMONIC_FIELDS = {
+  amplitude: { required: true, check: nonNegative },
+  attack: { required: true, check: atMost(MAX_ENVELOPE_STAGE) },
+  decay: { required: true, check: atMost(MAX_ENVELOPE_STAGE) },
+  sustain: { required: true, check: nonNegative },
+  release: { required: true, check: atMost(MAX_ENVELOPE_STAGE) },
+  velocitySensitivity: { check: unitInterval },
+  offsetHz: { check: finite },
+  detune: { check: finite },
+  phase: { check: phaseOrRandom },
+  stiffness: { check: nonNegative },
+};
+
+/**
+ * Fields allowed on the mod wheel target.
+ * @type {Record<string, { required?: boolean, check: (value: unknown) => string|null }>}
+ */
+const MOD_WHEEL_FIELDS = {
+  target: { required: true, check: oneOf("vibrato", "tremolo", "brightness") },
+  depth: { check: finite },
+  rate: { check: nonNegative },
+};
+
+/**
+ * Fields allowed on the voice mode.
+ * @type {Record<string, { required?: boolean, check: (value: unknown) => string|null }>}
+ */
+const VOICE_MODE_FIELDS = {
+  mode: { required: true, check: oneOf("poly", "mono") },
+  priority: { check: oneOf("last", "low", "high") },
+  legato: { check: boolean },
+  portamento: { check: atMost(MAX_PORTAMENTO) },
+};
+
+/**
+ * Fields allowed on an LFO.
+ * @type {Record<string, { required?: boolean, check: (value: unknown) => string|null }>}
+ */
+const LFO_FIELDS = {
+  rate: { required: true, check: atMost(MAX_LFO_RATE) },
+  depth: { check: unitInterval },
+  waveform: { check: oneOf("sine", "triangle", "square", "saw", "random") },
+  delay: { check: nonNegative },
+  keySync: { check: boolean },
+};
+
+/**
+ * Fields allowed on a modulation route.
+ * @type {Record<string, { required?: boolean, check: (value: unknown) => string|null }>}
+ */
+const MODULATION_FIELDS = {
+  source: { required: true, check: modulationSource },
+  destination: { required: true, check: oneOf("amplitude", "pitch") },
+  amount: { required: true, check: finite },
+  harmonics: { check: harmonicKeyList },
+};
+
+/**
+ * Fields allowed on the stereo placement.
+ * @type {Record<string, { required?: boolean, check: (value: unknown) => string|null }>}
+ */
+const STEREO_FIELDS = {
+  pan: { check: between(-1, 1) },
+  keyFollow: { check: between(-1, 1) },
+  spread: { check: unitInterval },
+  width: { check: unitInterval },
+};
+
+/**
+ * Fields allowed on an EQ band.
+ * @type {Record<string, { required?: boolean, check: (value: unknown) => string|null }>}
+ */
+const EQ_BAND_FIELDS = {
+  type: {
+    required: true,
+    check: oneOf("peaking", "lowshelf", "highshelf", "lowpass", "highpass"),
+  },
+  frequency: { required: true, check: atMost(MAX_EQ_FREQUENCY) },
+  gain: { check: between(-MAX_EQ_GAIN, MAX_EQ_GAIN) },
+  q: { check: atMost(MAX_EQ_Q) },
+};
+
+/**
+ * Fields allowed on each effect, keyed by effect and in signal order.
+ * Fields left out take their defaults (`EFFECT_DEFAULTS` in nxo.js).
+ * @type {Record<string, Record<string, { required?: boolean, check: (value: unknown) => string|null }>>}
+ */
+const EFFECT_FIELDS = {
+  eq: {
+    enabled: { check: boolean },
+    bands: { check: array },
+  },
+  chorus: {
+    enabled: { check: boolean },
+    mode: { check: oneOf("chorus", "vibrato") },
+    rate: { check: atMost(MAX_LFO_RATE) },
+    depth: { check: atMost(MAX_CHORUS_DEPTH) },
+    mix: { check: unitInterval },
+  },
+  delay: {
+    enabled: { check: boolean },
+    time: { check: atMost(MAX_DELAY_TIME) },
+    feedback: { check: atMost(MAX_FEEDBACK) },
+    mix: { check: unitInterval },
+    damping: { check: unitInterval },
+    pingPong: { check: boolean },
+  },
+  reverb: {
+    enabled: { check: boolean },
+    size: { check: unitInterval },
+    damping: { check: unitInterval },
+    mix: { check: unitInterval },
+    preDelay: { check: atMost(MAX_PRE_DELAY) },
+  },
+};
+
+/**
+ * Check an object against a field table, collecting errors and copying known fields.
+ * @param {unknown} value
+ * @param {Record<string, { required?: boolean, check: (value: unknown) => string|null }>} fields
+ * @param {string} path
+ * @param {PresetFieldError[]} errors
+ * @returns {Record<string, unknown>}
+ */
+function validateFields(value, fields, path, errors) {
+  const copy = {};
+  if (!isPlainObject(value)) {
+    errors.push({ path, message: "must be an object" });
+    return copy;
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in fields)) {
+      errors.push({ path: joinPath(path, key), message: "is not a known field" });
+    }
+  }
+  for (const [key, { required, check }] of Object.entries(fields)) {
+    if (value[key] === undefined) {
+      if (required) {
+        errors.push({ path: joinPath(path, key), message: "is required" });
+      }
+      continue;
+    }
+    const message = check(value[key]);
+    if (message) {
+      errors.push({ path: joinPath(path, key), message });
+    } else {
+      copy[key] = value[key];
+    }
+  }
+  return copy;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+function validateHarmonics(value, path, errors) {
+  const harmonics = {};
+  if (!isPlainObject(value)) {
+    errors.push({ path, message: "must be an object mapping harmonic numbers to envelopes" });
+    return harmonics;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) {
+    errors.push({ path, message: "must define at least one harmonic" });
+  }
+  if (entries.length > MAX_HARMONICS) {
+    errors.push({ path, message: `must define at most ${MAX_HARMONICS} harmonics` });
+  }
+
+  let totalAmplitude = 0;
+  for (const [key, params] of entries) {
+    const harmonicPath = joinPath(path, key);
+    const h = Number(key);
+    if (key.trim() === "" || !Number.isFinite(h) || h <= 0) {
+      errors.push({ path: harmonicPath, message: "harmonic key must be a positive number" });
+      continue;
+    }
+    harmonics[key] = validateFields(params, HARMONIC_FIELDS, harmonicPath, errors);
+    if (isFiniteNumber(harmonics[key].amplitude)) {
+      totalAmplitude += harmonics[key].amplitude;
+    }
+  }
+
+  if (entries.length > 0 && totalAmplitude <= 0) {
+    errors.push({ path, message: "at least one harmonic needs a non-zero amplitude" });
+  }
+  return harmonics;
+}
+
+/**
+ * Check an array of objects against a field table.
+ */
+function validateList(value, fields, max, path, errors) {
+  if (!Array.isArray(value)) {
+    errors.push({ path, message: "must be an array" });
+    return [];
+  }
+  if (value.length > max) {
+    errors.push({ path, message: `must have at most ${max} entries` });
+  }
+  return value.map((entry, i) => validateFields(entry, fields, joinPath(path, i), errors));
+}
+
+/**
+ * Modulation routes must name LFOs and harmonics the preset actually has.
+ */
+function validateModulationTargets(preset, errors) {
+  const lfoCount = preset.lfos?.length ?? 0;
+  const harmonics = Object.keys(preset.harmonics).map(Number);
+  preset.modulations.forEach(({ source, harmonics: targets }, i) => {
+    const lfo = /^lfo(\d+)$/.exec(source ?? "");
+    if (lfo && Number(lfo[1]) > lfoCount) {
+      errors.push({
+        path: `modulations.${i}.source`,
+        message: `there is no LFO ${lfo[1]} (the preset has ${lfoCount})`,
+      });
+    }
+    (targets ?? []).forEach((key, j) => {
+      if (!harmonics.includes(key)) {
+        errors.push({
+          path: `modulations.${i}.harmonics.${j}`,
+          message: `there is no harmonic ${key}`,
+        });
+      }
+    });
+  });
+}
+
+function validateEffects(value, path, errors) {
+  const effects = {};
+  if (!isPlainObject(value)) {
+    errors.push({ path, message: "must be an object" });
+    return effects;
+  }
+  for (const name of Object.keys(value)) {
+    if (!(name in EFFECT_FIELDS)) {
+      errors.push({ path: joinPath(path, name), message: "is not a known effect" });
+    }
+  }
+  for (const [name, fields] of Object.entries(EFFECT_FIELDS)) {
+    if (value[name] === undefined) continue;
+    effects[name] = validateFields(value[name], fields, joinPath(path, name), errors);
+  }
+  if (effects.eq?.bands) {
+    effects.eq.bands = validateList(
+      effects.eq.bands,
+      EQ_BAND_FIELDS,
+      MAX_EQ_BANDS,
+      joinPath(path, "eq.bands"),
+      errors
+    );
+  }
+  return effects;
+}
+
+function validateVelocityCurve(value, path, errors) {
+  if (value === "linear" || value === "exponential") {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    if (value.length < 2 || value.length > 128) {
+      errors.push({ path, message: "a custom table must have between 2 and 128 entries" });
+    }
+    value.forEach((gain, i) => {
+      const message = nonNegative(gain);
+      if (message) errors.push({ path: joinPath(path, i), message });
+    });
+    return value.slice();
+  }
+  if (isPlainObject(value)) {
+    return validateFields(
+      value,
+      { type: { required: true, check: oneOf("exponential") }, range: { check: nonNegative } },
+      path,
+      errors
+    );
+  }
+  errors.push({
+    path,
+    message: 'must be "linear", "exponential", { "type": "exponential", "range": dB } or an array of gains',
+  });
+  return "linear";
+}
+
+/**
+ * Validate a preset (full or bare harmonic map) and return a clean copy.
+ * @param {unknown} value
+ * @returns {PresetValidationResult}
+ */
+export function validateNXOPreset(value) {
+  /** @type {PresetFieldError[]} */
+  const errors = [];
+
+  if (!isPlainObject(value)) {
+    return { ok: false, errors: [{ path: "", message: "preset must be an object" }] };
+  }
+
+  // a bare harmonic map has no `harmonics` key
+  const full = "harmonics" in value ? value : { harmonics: value };
+  const preset = {};
+
+  const known = [
+    "name",
+    "metadata",
+    "gain",
+    "harmonics",
+    "modWheel",
+    "velocityCurve",
+    "voiceMode",
+    "stiffness",
+    "lfos",
+    "modulations",
+    "stereo",
+    "effects",
+  ];
+  for (const key of Object.keys(full)) {
+    if (!known.includes(key)) {
+      errors.push({ path: key, message: "is not a known field" });
+    }
+  }
+
+  if (full.name !== undefined) {
+    if (typeof full.name === "string") preset.name = full.name;
+    else errors.push({ path: "name", message: "must be a string" });
+  }
+  if (full.metadata !== undefined) {
+    if (!isPlainObject(full.metadata)) {
+      errors.push({ path: "metadata", message: "must be an object" });
+    } else {
+      try {
+        preset.metadata = JSON.parse(JSON.stringify(full.metadata));
+      } catch {
+        errors.push({ path: "metadata", message: "must be plain JSON data" });
+      }
+    }
+  }
+  if (full.gain !== undefined) {
+    const message = atMost(MAX_PRESET_GAIN)(full.gain);
+    if (message) errors.push({ path: "gain", message });
+    else preset.gain = full.gain;
+  }
+
+  if (full.stiffness !== undefined) {
+    const message = nonNegative(full.stiffness);
+    if (message) errors.push({ path: "stiffness", message });
+    else preset.stiffness = full.stiffness;
+  }
+
+  preset.harmonics = validateHarmonics(full.harmonics, "harmonics", errors);
+
+  if (full.modWheel !== undefined) {
+    preset.modWheel = validateFields(full.modWheel, MOD_WHEEL_FIELDS, "modWheel", errors);
+  }
+  if (full.velocityCurve !== undefined) {
+    preset.velocityCurve = validateVelocityCurve(full.velocityCurve, "velocityCurve", errors);
+  }
+  if (full.voiceMode !== undefined) {
+    preset.voiceMode = validateFields(full.voiceMode, VOICE_MODE_FIELDS, "voiceMode", errors);
+  }
+  if (full.lfos !== undefined) {
+    preset.lfos = validateList(full.lfos, LFO_FIELDS, MAX_LFOS, "lfos", errors);
+  }
+  if (full.modulations !== undefined) {
+    preset.modulations = validateList(
+      full.modulations,
+      MODULATION_FIELDS,
+      MAX_MODULATIONS,
+      "modulations",
+      errors
+    );
+    validateModulationTargets(preset, errors);
+  }
+  if (full.stereo !== undefined) {
+    preset.stereo = validateFields(full.stereo, STEREO_FIELDS, "stereo", errors);
+  }
+  if (full.effects !== undefined) {
+    preset.effects = validateEffects(full.effects, "effects", errors);
+  }
+
+  return errors.length ? { ok: false, errors } : { ok: true, preset };
+}
@@ -0,0 +1,243 @@
+import { validateNXOPreset } from "./nxo-preset.js";
+import { NXOEngine, renderNXO } from "./nxo-engine.js";
+import { buildTuning } from "./tuning.js";
+
+// Matches the AudioContext, so previews show exactly what the synth plays
+const SAMPLE_RATE = 48000;
+
+/**
+ * Off-audio-thread helper for the UI.
+ *
+ * Preset scripts are arbitrary user code, so they run here rather than in the AudioWorklet:
+ * if one throws, returns garbage or never finishes, only this worker is affected
+ * (the main thread terminates and replaces it on timeout).
+ * Every request carries an `id` that is echoed back on the reply.
+ */
+
+function wrapPresetScript(code) {
+  return `'use strict'; return (async () => { ${code}\n })();`;
+}
+
+/**
+ * Line/column of the innermost frame inside `new Function` code.
+ * V8 reports it as `<anonymous>:L:C`, SpiderMonkey as `Function:L:C`.
+ * @param {string|undefined} stack
+ * @returns {{ line: number, column: number }|null}
+ */
+function locationInStack(stack) {
+  const match = /(?:<anonymous>|Function):(\d+):(\d+)/.exec(stack ?? "");
+  return match ? { line: Number(match[1]), column: Number(match[2]) } : null;
+}
+
+let wrapperOffsets = null;
+
+/**
+ * How far the engine's reported positions are shifted by the function header and our wrapper.
+ * Measured once by throwing from the first column of the first line of a probe script.
+ */
+async function getWrapperOffsets() {
+  if (wrapperOffsets) return wrapperOffsets;
+  let probeLocation = null;
+  try {
+    await new Function(wrapPresetScript("throw new Error();"))();
+  } catch (e) {
+    probeLocation = locationInStack(e?.stack);
+  }
+  wrapperOffsets = probeLocation
+    ? { line: probeLocation.line - 1, column: probeLocation.column - 1 }
+    : { line: 0, column: 0 };
+  return wrapperOffsets;
+}
+
+/**
+ * Map an error thrown by a preset script back to a position in the user's source.
+ * @returns {Promise<{ line: number, column: number }|null>}
+ */
+async function locateScriptError(error) {
+  const reported =
+    locationInStack(error?.stack) ??
+    (typeof error?.lineNumber === "number"
+      ? { line: error.lineNumber, column: error.columnNumber ?? 1 }
+      : null);
+  if (!reported) return null;
+  const offsets = await getWrapperOffsets();
+  const line = reported.line - offsets.line;
+  if (line < 1) return null;
+  // only the first line shares its row with the wrapper prefix
+  const column = line === 1 ? reported.column - offsets.column : reported.column;
+  return { line, column: Math.max(column, 1) };
+}
+
+/**
+ * Line/column of a zero-based character offset.
+ */
+function positionOfOffset(code, offset) {
+  const before = code.slice(0, offset);
+  const line = before.split("\n").length;
+  return { line, column: offset - before.lastIndexOf("\n") };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Best-effort source position of a validation error path such as `harmonics.1.attack`:
+ * each path segment is searched for as an object key after the previous one.
+ * Segments that never appear literally (e.g. `harmonics` in a bare harmonic map) are skipped.
+ */
+function locatePath(code, path) {
+  if (!path) return null;
+  let from = 0;
+  let found = null;
+  for (const segment of path.split(".")) {
+    const key = new RegExp(`(?<![\\w.$])(["']?)${escapeRegExp(segment)}\\1\\s*:`, "g");
+    key.lastIndex = from;
+    const match = key.exec(code);
+    if (match) {
+      found = match.index;
+      from = match.index + match[0].length;
+    }
+  }
+  return found === null ? null : positionOfOffset(code, found);
+}
+
+/**
+ * Evaluate preset source and return the validated plain data.
+ * Errors carry the line and column they point at when it can be worked out.
+ * @param {string} code
+ * @param {'script'|'json'} format
+ */
+async function compilePreset(code, format) {
+  let value;
+  if (format === "json") {
+    try {
+      value = JSON.parse(code);
+    } catch (e) {
+      // V8: "... in JSON at position N", SpiderMonkey: "... at line L column C of the JSON data"
+      const position = /position (\d+)/.exec(e.message);
+      const lineColumn = /line (\d+) column (\d+)/.exec(e.message);
+      const location = position
+        ? positionOfOffset(code, Number(position[1]))
+        : lineColumn
+          ? { line: Number(lineColumn[1]), column: Number(lineColumn[2]) }
+          : {};
+      return {
+        ok: false,
+        errors: [{ path: "", message: `Invalid JSON: ${e.message}`, ...location }],
+      };
+    }
+  } else {
+    try {
+      const fn = new Function(wrapPresetScript(code));
+      value = await fn();
+    } catch (e) {
+      const location = await locateScriptError(e);
+      return {
+        ok: false,
+        errors: [
+          {
+            path: "",
+            message: e instanceof Error ? `${e.name}: ${e.message}` : String(e),
+            ...location,
+          },
+        ],
+      };
+    }
+  }
+
+  const result = validateNXOPreset(value);
+  if (!result.ok) {
+    result.errors = result.errors.map((error) => ({
+      ...error,
+      ...locatePath(code, error.path),
+    }));
+  }
+  return result;
+}
+
+/**
+ * Envelope curves of a validated preset, for the editors and visualizer.
+ * @param {unknown} preset
+ * @param {number} noteLength
+ * @param {number} pointCount
+ */
+function sampleEnvelopes(preset, noteLength, pointCount) {
+  const result = validateNXOPreset(preset);
+  if (!result.ok) return result;
+  // the audio thread guards `configure` too; a throw here would leave the request unanswered
+  try {
+    const engine = new NXOEngine(SAMPLE_RATE);
+    engine.configure(result.preset);
+    return { ok: true, ...engine.envelopeCurves(0, noteLength, pointCount) };
+  } catch (e) {
+    return {
+      ok: false,
+      errors: [{ path: "", message: e instanceof Error ? e.message : String(e) }],
+    };
+  }
+}
+
+/**
+ * Render notes and controller moves through validated presets, as the synth would play them.
+ * @param {unknown[]} presets - By part; null for parts that have not compiled.
+ * @param {import('./nxo-engine.js').TimedNote[]} notes
+ * @param {object} options - See `renderNXO`.
+ */
+function render(presets, notes, options) {
+  const parts = [];
+  for (const [part, preset] of presets.entries()) {
+    if (preset === null) {
+      parts.push(null);
+      continue;
+    }
+    const result = validateNXOPreset(preset);
+    if (!result.ok) {
+      return {
+        ok: false,
+        errors: result.errors.map((error) => ({ ...error, message: `Part ${part + 1}: ${error.message}` })),
+      };
+    }
+    parts.push(result.preset);
+  }
+  try {
+    return { ok: true, ...renderNXO(parts, notes, { ...options, sampleRate: SAMPLE_RATE }) };
+  } catch (e) {
+    return {
+      ok: false,
+      errors: [{ path: "", message: e instanceof Error ? e.message : String(e) }],
+    };
+  }
+}
+
+self.onmessage = async (event) => {
+  const { id, type } = event.data;
+
+  if (type === "envelopes") {
+    const { preset, noteLength, pointCount } = event.data;
+    self.postMessage({ id, ...sampleEnvelopes(preset, noteLength, pointCount) });
+    return;
+  }
+
+  // Scala files are user input too, so they are parsed here rather than on the audio thread
+  if (type === "tuning") {
+    self.postMessage({ id, ...buildTuning(event.data.settings) });
+    return;
+  }
+
+  if (type === "compile") {
+    const { code, format } = event.data;
+    self.postMessage({ id, ...(await compilePreset(code, format)) });
+    return;
+  }
+
+  if (type === "render") {
+    const { presets, notes, options } = event.data;
+    const result = render(presets, notes, options);
+    // the channels are large, so they are handed over rather than copied
+    self.postMessage({ id, ...result }, result.ok ? [result.left.buffer, result.right.buffer] : []);
+    return;
+  }
+
+  self.postMessage({ id, ok: false, errors: [{ path: "", message: `Unknown request: ${type}` }] });
+};
@@ -1,15 +1,246 @@
-import { buildADSREngine, DEFAULT_NUM_TAU, DEFAULT_SAMPLES_PER_TABLE_ENTRY} from './ADSR.js';
+import { buildADSREngine, buildIncrementalEnvelope, DEFAULT_ENVELOPE_MODE, DEFAULT_NUM_TAU, DEFAULT_SAMPLES_PER_TABLE_ENTRY} from './ADSR.js';
 
 /**
  * @typedef {import('./ADSR').ADSRParameters} ADSRParameters
  */
 
 /**
- * @typedef {Record<number, ADSRParameters>} NXODef
+ * Per-harmonic settings: the envelope plus how strongly the harmonic follows velocity
+ * (0 = ignores velocity, 1 = follows the velocity curve fully; default 1).
+ *
+ * The harmonic's key is its frequency multiplier; the optional fields move it off that:
+ * `stiffness` stretches it like a stiff string (see `partialRatio`), `detune` shifts it in cents,
+ * and `offsetHz` adds a fixed frequency, so the beating it causes is the same on every note.
+ * `phase` is where the oscillator starts, in cycles, or `random` for a fresh phase per note.
+ * @typedef {ADSRParameters & {
+ *   velocitySensitivity?: number,
+ *   offsetHz?: number,
+ *   detune?: number,
+ *   phase?: number|'random',
+ *   stiffness?: number,
+ * }} HarmonicParameters
  */
 
 /**
- * 
+ * @typedef {Record<number, HarmonicParameters>} NXODef
+ */
+
+/**
+ * What the mod wheel (CC1) modulates.
+ * `vibrato` depth is in semitones, `tremolo` depth is a gain fraction (0–1),
+ * `brightness` depth is the extra gain given to every harmonic above the fundamental.
+ * @typedef {object} ModWheelTarget
+ * @property {'vibrato'|'tremolo'|'brightness'} target
+ * @property {number} [depth]
+ * @property {number} [rate] - LFO rate in Hz (vibrato and tremolo only).
+ */
+
+/**
+ * Maps MIDI velocity to gain.
+ * `linear` is velocity / 127, `exponential` spans `range` decibels (default 40) across the velocity range,
+ * and an array of gains is a custom table spread evenly over velocities 0–127 and linearly interpolated.
+ * @typedef {'linear'|'exponential'|{ type: 'exponential', range?: number }|number[]} VelocityCurve
+ */
+
+/**
+ * How a part assigns notes to voices.
+ * In `mono` mode the part plays one voice; of the keys held down, `priority` picks the one that sounds.
+ * With `legato`, moving between held keys changes pitch without restarting the envelopes.
+ * `portamento` is the time in seconds to glide from one note's pitch to the next (mono only).
+ * @typedef {object} VoiceMode
+ * @property {'poly'|'mono'} mode
+ * @property {'last'|'low'|'high'} [priority]
+ * @property {boolean} [legato]
+ * @property {number} [portamento]
+ */
+
+/**
+ * A low-frequency oscillator a preset's modulations can read from. Its output is bipolar, `depth` at most.
+ * `delay` is the time after note-on it takes to fade in to full depth.
+ * With `keySync` every note runs its own copy from the start of the cycle;
+ * otherwise one free-running LFO is shared by all notes of the part, like a rotating speaker.
+ * @typedef {object} LFODef
+ * @property {number} rate - In Hz.
+ * @property {number} [depth]
+ * @property {'sine'|'triangle'|'square'|'saw'|'random'} [waveform] - `random` holds a new value each cycle.
+ * @property {number} [delay]
+ * @property {boolean} [keySync]
+ */
+
+/**
+ * One route of the modulation matrix: a source scaled by `amount`, added to a destination
+ * of every harmonic listed in `harmonics` (all of them when omitted).
+ * Sources: `lfo1`, `lfo2`, … (bipolar), `velocity` and `modWheel` (0–1),
+ * `keyTrack` (octaves from middle C, negative below it).
+ * `amplitude` amounts are a fraction of the harmonic's gain, `pitch` amounts are semitones.
+ * @typedef {object} ModulationRoute
+ * @property {string} source
+ * @property {'amplitude'|'pitch'} destination
+ * @property {number} amount
+ * @property {number[]} [harmonics] - Harmonic keys.
+ */
+
+/**
+ * Where a part's voices sit in the stereo field. Positions run from -1 (left) to 1 (right).
+ * Each voice sits at `pan`, moved right as its note rises by `keyFollow` per five octaves
+ * from middle C (left below it), like a piano seen from the bench.
+ * Partials other than the lowest alternate either side of their voice by `spread`.
+ * `width` scales both key follow and spread: 0 puts everything at `pan`, 1 leaves them as set.
+ * @typedef {object} StereoDef
+ * @property {number} [pan]
+ * @property {number} [keyFollow]
+ * @property {number} [spread]
+ * @property {number} [width]
+ */
+
+/**
+ * A full preset: the harmonic map plus instrument-wide settings.
+ * Preset scripts may also return a bare NXODef, which is treated as `{ harmonics: def }`.
+ * @typedef {object} NXOPreset
+ * @property {string} [name]
+ * @property {Record<string, unknown>} [metadata]
+ * @property {number} [gain] - Output gain of the part (default 1).
+ * @property {NXODef} harmonics
+ * @property {ModWheelTarget} [modWheel]
+ * @property {VelocityCurve} [velocityCurve]
+ * @property {VoiceMode} [voiceMode]
+ * @property {number} [stiffness] - Stiffness of harmonics that don't set their own (default 0).
+ * @property {LFODef[]} [lfos]
+ * @property {ModulationRoute[]} [modulations]
+ * @property {StereoDef} [stereo]
+ * @property {import('./DSP/EffectsRack.js').EffectsDef} [effects] - The part's effects chain.
+ */
+
+const DEFAULT_EXPONENTIAL_VELOCITY_RANGE = 40;
+
+/** @type {Record<ModWheelTarget['target'], Required<ModWheelTarget>>} */
+export const MOD_WHEEL_DEFAULTS = {
+  vibrato: { target: "vibrato", depth: 0.5, rate: 5.5 },
+  tremolo: { target: "tremolo", depth: 0.5, rate: 6 },
+  brightness: { target: "brightness", depth: 1, rate: 0 },
+};
+
+/** @type {Required<VoiceMode>} */
+export const VOICE_MODE_DEFAULTS = {
+  mode: "poly",
+  priority: "last",
+  legato: true,
+  portamento: 0,
+};
+
+/** @type {Omit<Required<LFODef>, 'rate'>} */
+export const LFO_DEFAULTS = {
+  depth: 1,
+  waveform: "sine",
+  delay: 0,
+  keySync: false,
+};
+
+/** @type {Required<StereoDef>} */
+export const STEREO_DEFAULTS = {
+  pan: 0,
+  keyFollow: 0,
+  spread: 0,
+  width: 1,
+};
+
+/**
+ * Settings of each effect when added without them.
+ * @type {Required<import('./DSP/EffectsRack.js').EffectsDef>}
+ */
+export const EFFECT_DEFAULTS = {
+  eq: { enabled: true, bands: [] },
+  chorus: { enabled: true, mode: "chorus", rate: 0.8, depth: 0.002, mix: 0.5 },
+  delay: { enabled: true, time: 0.35, feedback: 0.35, mix: 0.25, damping: 0.3, pingPong: false },
+  reverb: { enabled: true, size: 0.7, damping: 0.5, mix: 0.25, preDelay: 0.01 },
+};
+
+/**
+ * Accept either a bare harmonic map or a full preset and fill in the defaults.
+ * @param {NXODef|NXOPreset} def
+ * @returns {{ harmonics: NXODef, gain: number, modWheel: Required<ModWheelTarget>, velocityCurve: VelocityCurve, voiceMode: Required<VoiceMode>, stiffness: number, lfos: Required<LFODef>[], modulations: ModulationRoute[], stereo: Required<StereoDef>, effects: import('./DSP/EffectsRack.js').EffectsDef }}
+ */
+export function resolveNXOPreset(def) {
+  const isFullPreset =
+    typeof def.harmonics === "object" && def.harmonics !== null;
+  const harmonics = isFullPreset ? def.harmonics : def;
+  const modWheelDef = (isFullPreset && def.modWheel) || {};
+  const modWheelDefaults =
+    MOD_WHEEL_DEFAULTS[modWheelDef.target] ?? MOD_WHEEL_DEFAULTS.vibrato;
+
+  return {
+    harmonics,
+    gain: isFullPreset && def.gain !== undefined ? def.gain : 1,
+    modWheel: { ...modWheelDefaults, ...modWheelDef, target: modWheelDefaults.target },
+    velocityCurve: (isFullPreset && def.velocityCurve) || "linear",
+    voiceMode: { ...VOICE_MODE_DEFAULTS, ...(isFullPreset && def.voiceMode) },
+    stiffness: (isFullPreset && def.stiffness) || 0,
+    lfos: ((isFullPreset && def.lfos) || []).map((lfo) => ({ ...LFO_DEFAULTS, ...lfo })),
+    modulations: (isFullPreset && def.modulations) || [],
+    stereo: { ...STEREO_DEFAULTS, ...(isFullPreset && def.stereo) },
+    effects: Object.fromEntries(
+      Object.entries((isFullPreset && def.effects) || {}).map(([name, effect]) => [
+        name,
+        { ...EFFECT_DEFAULTS[name], ...effect },
+      ])
+    ),
+  };
+}
+
+/**
+ * Frequency of a partial relative to the fundamental, before any `offsetHz`.
+ * A stiff string's partial n sounds at n·sqrt(1 + B·n²) times the fundamental, B being the stiffness.
+ * @param {number} harmonic - The harmonic's key.
+ * @param {{ detune?: number, stiffness?: number }} params
+ * @returns {number}
+ */
+export function partialRatio(harmonic, { detune = 0, stiffness = 0 }) {
+  return (
+    harmonic *
+    Math.sqrt(1 + stiffness * harmonic * harmonic) *
+    Math.pow(2, detune / 1200)
+  );
+}
+
+/**
+ * Tabulate a velocity curve so voices can look their gain up by MIDI velocity.
+ * @param {VelocityCurve} curve
+ * @returns {Float32Array} 128 gains, indexed by velocity.
+ */
+export function buildVelocityTable(curve) {
+  const table = new Float32Array(128);
+
+  if (Array.isArray(curve)) {
+    const last = curve.length - 1;
+    for (let v = 0; v < 128; v++) {
+      const position = last > 0 ? (v / 127) * last : 0;
+      const entry = Math.min(Math.floor(position), Math.max(last - 1, 0));
+      const frac = position - entry;
+      const left = curve[entry] ?? 0;
+      const right = curve[entry + 1] ?? left;
+      table[v] = left + (right - left) * frac;
+    }
+    return table;
+  }
+
+  const type = typeof curve === "object" && curve !== null ? curve.type : curve;
+  if (type === "exponential") {
+    const range = curve.range ?? DEFAULT_EXPONENTIAL_VELOCITY_RANGE;
+    for (let v = 1; v < 128; v++) {
+      table[v] = Math.pow(10, (-(1 - v / 127) * range) / 20);
+    }
+    return table;
+  }
+
+  for (let v = 0; v < 128; v++) {
+    table[v] = v / 127;
+  }
+  return table;
+}
+
+/**
+ * Scale amplitudes (and sustain levels with them) by the total amplitude, so presets play at the same level
+ * however many harmonics they have. Partial tuning and phase fields are carried over unchanged.
  * @param {NXODef} def
  * @returns {NXODef}
  */
@@ -36,28 +267,40 @@ export function normalizeNXODef(def) {
   );
 }
 
+/**
+ * Build the envelope processors of every harmonic.
+ * `whileNoteOn`/`whileNoteOff` take times in seconds; in `incremental` mode they evaluate the
+ * exact curves (for previews and note-off levels) and `incremental` holds the per-sample coefficients.
+ * @param {NXODef} nxoDef
+ * @param {number} sampleRate
+ * @param {number} [numTau]
+ * @param {number} [samplesPerTableEntry]
+ * @param {import('./ADSR.js').EnvelopeMode} [envelopeMode]
+ */
 export function buildNXOComputer(
   nxoDef,
   sampleRate,
   numTau = DEFAULT_NUM_TAU,
-  samplesPerTableEntry = DEFAULT_SAMPLES_PER_TABLE_ENTRY
+  samplesPerTableEntry = DEFAULT_SAMPLES_PER_TABLE_ENTRY,
+  envelopeMode = DEFAULT_ENVELOPE_MODE
 ) {
-  /** @type {Map<number, { whileNoteOn: fn, whileNoteOff: fn }>} */
+  // keyed by the harmonic's key as written, so detuned copies such as "1" and "1.0" stay apart
+  /** @type {Map<string, { whileNoteOn: fn, whileNoteOff: fn, incremental: object|null }>} */
   const processors = new Map();
 
   for (const [harmonicKey, definition] of Object.entries(nxoDef)) {
-    const h = Number(harmonicKey);
     const { ads, r } = buildADSREngine(
       definition,
       sampleRate,
       numTau,
-      samplesPerTableEntry
+      samplesPerTableEntry,
+      envelopeMode === "table"
     );
 
     const sustainTime = definition.attack + definition.decay;
 
     // capture in closure; no Map lookup on every sample
-    processors.set(h, {
+    processors.set(harmonicKey, {
       whileNoteOn: timeSinceNoteOn =>
         ads.interp(timeSinceNoteOn),
       whileNoteOff: (totalTimeNoteWasOn, timeSinceNoteOff) => {
@@ -66,7 +309,11 @@ export function buildNXOComputer(
             ? definition.sustain
             : ads.interp(totalTimeNoteWasOn);
         return startVal * r.interp(timeSinceNoteOff);
-      }
+      },
+      incremental:
+        envelopeMode === "incremental"
+          ? buildIncrementalEnvelope(definition, sampleRate, numTau)
+          : null,
     });
   }
 
@@ -0,0 +1,396 @@
+/**
+ * Tunings: which frequency each MIDI note plays.
+ *
+ * A tuning is a scale (the pitches of one period, e.g. an octave) plus a keyboard mapping
+ * (which key plays which scale degree, and which key is pinned to a reference frequency).
+ * Both follow the Scala formats, so `.scl` and `.kbm` files can be imported as they are.
+ * The synth only ever sees the result: a table of 128 frequencies, one per MIDI note.
+ *
+ * Parsing never throws: it reports every problem with the line it was found on.
+ */
+
+/**
+ * Pitches of a scale's degrees above the tonic, in cents, ascending as written.
+ * The last pitch is the period the scale repeats at (1200 for an octave-repeating scale).
+ * @typedef {{ description: string, cents: number[] }} Scale
+ */
+
+/**
+ * Which key plays which scale degree, as in a Scala `.kbm` file.
+ * Keys whose degree is `null`, or outside `firstNote`–`lastNote`, do not sound.
+ * @typedef {object} KeyboardMapping
+ * @property {number} size - Keys in the repeating pattern; 0 maps consecutive keys to consecutive degrees.
+ * @property {number} firstNote - Lowest MIDI note that sounds.
+ * @property {number} lastNote - Highest MIDI note that sounds.
+ * @property {number} middleNote - Key that plays degree 0, where the pattern starts.
+ * @property {number} referenceNote - Key tuned to exactly `referenceFrequency`.
+ * @property {number} referenceFrequency - In Hz.
+ * @property {number} octaveDegree - Degree the pattern repeats at; 0 means the scale's own period.
+ * @property {(number|null)[]} map - Degree played by each key of the pattern.
+ */
+
+/**
+ * @typedef {object} TuningParseError
+ * @property {number} line - 1-based line in the file, or 0 for the file as a whole.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {'equal'|'just'|'pythagorean'|'meantone'|'werckmeister-iii'} TemperamentName
+ */
+
+// MIDI note and frequency of A4, the usual reference pitch
+export const DEFAULT_REFERENCE_NOTE = 69;
+export const DEFAULT_REFERENCE_FREQUENCY = 440;
+
+// Key the built-in temperaments put their tonic on, before transposing by `root`
+const MIDDLE_C = 60;
+
+// Scala files in the wild go up to a few hundred notes; anything far beyond is not a scale
+const MAX_SCALE_SIZE = 1024;
+
+/**
+ * A parse result holding a single error.
+ */
+function failure(message, line = 0) {
+  return { ok: false, errors: [{ line, message }] };
+}
+
+function ratioToCents(ratio) {
+  return 1200 * Math.log2(ratio);
+}
+
+/**
+ * Twelve notes from a chain of fifths of the given size, Eb to G#, as cents above C.
+ */
+function chainOfFifths(fifth) {
+  const cents = [];
+  for (let step = -3; step <= 8; step++) {
+    cents.push((((step * fifth) % 1200) + 1200) % 1200);
+  }
+  cents.sort((a, b) => a - b);
+  return [...cents.slice(1), 1200];
+}
+
+/**
+ * Built-in twelve-note temperaments, with C as the tonic.
+ * @type {Record<TemperamentName, { label: string, scale: Scale }>}
+ */
+export const TEMPERAMENTS = {
+  equal: {
+    label: "12-tone equal temperament",
+    scale: {
+      description: "12-tone equal temperament",
+      cents: Array.from({ length: 12 }, (_, i) => (i + 1) * 100),
+    },
+  },
+  just: {
+    label: "Just intonation (5-limit)",
+    scale: {
+      description: "5-limit just intonation",
+      cents: [
+        16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8, 2,
+      ].map(ratioToCents),
+    },
+  },
+  pythagorean: {
+    label: "Pythagorean",
+    scale: {
+      description: "Pythagorean tuning, pure fifths from Eb to G#",
+      cents: chainOfFifths(ratioToCents(3 / 2)),
+    },
+  },
+  meantone: {
+    label: "Quarter-comma meantone",
+    scale: {
+      description: "1/4-comma meantone, pure major thirds, Eb to G#",
+      cents: chainOfFifths(ratioToCents(5) / 4),
+    },
+  },
+  "werckmeister-iii": {
+    label: "Werckmeister III",
+    scale: {
+      description: "Werckmeister III, four fifths tempered by 1/4 Pythagorean comma",
+      cents: [
+        90.225, 192.18, 294.135, 390.225, 498.045, 588.27, 696.09, 792.18, 888.27, 996.09,
+        1092.18, 1200,
+      ],
+    },
+  },
+};
+
+/**
+ * Mapping that plays consecutive scale degrees on consecutive keys,
+ * with the tonic on `middleNote` and `referenceNote` pinned to `referenceFrequency`.
+ * @param {Partial<KeyboardMapping>} [overrides]
+ * @returns {KeyboardMapping}
+ */
+export function linearKeyboardMapping(overrides = {}) {
+  return {
+    size: 0,
+    firstNote: 0,
+    lastNote: 127,
+    middleNote: MIDDLE_C,
+    referenceNote: DEFAULT_REFERENCE_NOTE,
+    referenceFrequency: DEFAULT_REFERENCE_FREQUENCY,
+    octaveDegree: 0,
+    map: [],
+    ...overrides,
+  };
+}
+
+/**
+ * Lines that carry data: comments (`!`) are dropped, line numbers are kept for error messages.
+ * @returns {{ line: number, text: string }[]}
+ */
+function dataLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((content, index) => ({ line: index + 1, text: content.trim() }))
+    .filter(({ text: content }) => !content.startsWith("!"));
+}
+
+/**
+ * A Scala pitch: cents if it contains a period, otherwise a ratio `n/d` or a whole number.
+ * Anything after the first whitespace is a label and ignored.
+ * @returns {number|string} Cents, or an error message.
+ */
+function parsePitch(text) {
+  const token = text.split(/\s+/)[0];
+  if (token.includes(".")) {
+    const cents = Number(token);
+    return Number.isFinite(cents) ? cents : `"${token}" is not a number of cents`;
+  }
+  const match = /^(\d+)(?:\/(\d+))?$/.exec(token);
+  if (!match) return `"${token}" is not a ratio or a number of cents`;
+  const numerator = Number(match[1]);
+  const denominator = match[2] === undefined ? 1 : Number(match[2]);
+  if (numerator === 0 || denominator === 0) return `"${token}" is not a positive ratio`;
+  return ratioToCents(numerator / denominator);
+}
+
+/**
+ * Parse a Scala scale file (`.scl`).
+ * @param {string} text
+ * @returns {{ ok: true, scale: Scale } | { ok: false, errors: TuningParseError[] }}
+ */
+export function parseScala(text) {
+  const lines = dataLines(text);
+  const errors = [];
+  if (lines.length < 2) {
+    return failure("Expected a description and a note count");
+  }
+
+  // the description line may be empty, unlike every other data line
+  const [descriptionLine, countLine, ...pitchLines] = lines;
+  const count = Number(countLine.text.split(/\s+/)[0]);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SCALE_SIZE) {
+    return failure(`Note count must be a whole number from 1 to ${MAX_SCALE_SIZE}`, countLine.line);
+  }
+
+  const pitches = pitchLines.filter(({ text: content }) => content !== "");
+  if (pitches.length < count) {
+    errors.push({ line: 0, message: `Expected ${count} notes, found ${pitches.length}` });
+  }
+  const cents = [];
+  for (const { line, text: content } of pitches.slice(0, count)) {
+    const pitch = parsePitch(content);
+    if (typeof pitch === "string") errors.push({ line, message: pitch });
+    else cents.push(pitch);
+  }
+  if (errors.length === 0 && cents[cents.length - 1] <= 0) {
+    errors.push({
+      line: pitches[count - 1].line,
+      message: "The last note is the period the scale repeats at and must be above the tonic",
+    });
+  }
+
+  return errors.length
+    ? { ok: false, errors }
+    : { ok: true, scale: { description: descriptionLine.text, cents } };
+}
+
+/**
+ * Parse a Scala keyboard mapping file (`.kbm`).
+ * @param {string} text
+ * @returns {{ ok: true, mapping: KeyboardMapping } | { ok: false, errors: TuningParseError[] }}
+ */
+export function parseKeyboardMapping(text) {
+  const lines = dataLines(text).filter(({ text: content }) => content !== "");
+  const header = [
+    ["size", "Map size"],
+    ["firstNote", "First MIDI note"],
+    ["lastNote", "Last MIDI note"],
+    ["middleNote", "Middle note"],
+    ["referenceNote", "Reference note"],
+    ["referenceFrequency", "Reference frequency"],
+    ["octaveDegree", "Formal octave degree"],
+  ];
+  if (lines.length < header.length) {
+    return failure(`Expected ${header.length} header values, found ${lines.length}`);
+  }
+
+  const errors = [];
+  const mapping = linearKeyboardMapping();
+  header.forEach(([field, label], index) => {
+    const { line, text: content } = lines[index];
+    const value = Number(content.split(/\s+/)[0]);
+    const isNote = field.endsWith("Note");
+    if (field === "referenceFrequency") {
+      if (!(value > 0) || !Number.isFinite(value)) {
+        errors.push({ line, message: `${label} must be a positive number of Hz` });
+      }
+    } else if (!Number.isInteger(value) || value < 0 || (isNote && value > 127)) {
+      errors.push({
+        line,
+        message: isNote
+          ? `${label} must be a MIDI note from 0 to 127`
+          : `${label} must be a whole number`,
+      });
+    }
+    mapping[field] = value;
+  });
+
+  const entries = lines.slice(header.length);
+  if (entries.length < mapping.size) {
+    errors.push({
+      line: 0,
+      message: `Expected ${mapping.size} key entries, found ${entries.length}`,
+    });
+  }
+  mapping.map = entries.slice(0, mapping.size).map(({ line, text: content }) => {
+    const token = content.split(/\s+/)[0];
+    if (token.toLowerCase() === "x") return null;
+    const degree = Number(token);
+    if (!Number.isInteger(degree) || degree < 0) {
+      errors.push({ line, message: `"${token}" is not a scale degree or "x"` });
+      return null;
+    }
+    return degree;
+  });
+
+  return errors.length ? { ok: false, errors } : { ok: true, mapping };
+}
+
+function floorDiv(a, b) {
+  return Math.floor(a / b);
+}
+
+function mod(a, b) {
+  return ((a % b) + b) % b;
+}
+
+/**
+ * Cents of a scale degree above the tonic.
+ * Degrees past the last note continue into the next period.
+ */
+function degreeCents(scale, degree) {
+  const size = scale.cents.length;
+  const period = scale.cents[size - 1];
+  const step = mod(degree, size);
+  return floorDiv(degree, size) * period + (step === 0 ? 0 : scale.cents[step - 1]);
+}
+
+/**
+ * Cents of a key above the mapping's tonic, or null when the key does not sound.
+ * @param {Scale} scale
+ * @param {KeyboardMapping} mapping
+ * @param {number} note
+ */
+function keyCents(scale, mapping, note) {
+  if (note < mapping.firstNote || note > mapping.lastNote) return null;
+  const offset = note - mapping.middleNote;
+  if (mapping.size === 0) return degreeCents(scale, offset);
+  const degree = mapping.map[mod(offset, mapping.size)];
+  if (degree === null || degree === undefined) return null;
+  const octave =
+    mapping.octaveDegree === 0
+      ? scale.cents[scale.cents.length - 1]
+      : degreeCents(scale, mapping.octaveDegree);
+  return degreeCents(scale, degree) + floorDiv(offset, mapping.size) * octave;
+}
+
+/**
+ * Frequency of every MIDI note under a tuning. Keys that do not sound are 0.
+ * @param {Scale} scale
+ * @param {KeyboardMapping} mapping
+ * @returns {{ ok: true, frequencies: Float64Array } | { ok: false, errors: TuningParseError[] }}
+ */
+export function buildFrequencyTable(scale, mapping) {
+  // the reference key anchors the tuning even when it is outside the playable range
+  const anchor = { ...mapping, firstNote: 0, lastNote: 127 };
+  const referenceCents = keyCents(scale, anchor, mapping.referenceNote);
+  if (referenceCents === null) {
+    return failure(`Reference note ${mapping.referenceNote} is not mapped to a scale degree`);
+  }
+  const frequencies = new Float64Array(128);
+  for (let note = 0; note < 128; note++) {
+    const cents = keyCents(scale, mapping, note);
+    if (cents !== null) {
+      frequencies[note] = mapping.referenceFrequency * Math.pow(2, (cents - referenceCents) / 1200);
+    }
+  }
+  return { ok: true, frequencies };
+}
+
+/**
+ * @typedef {TuningParseError & { file: 'scl'|'kbm'|'' }} TuningError
+ */
+
+/**
+ * @typedef {object} TuningSettings
+ * @property {TemperamentName|'scala'} temperament - A built-in temperament, or the imported `scl`.
+ * @property {number} [root=0] - Pitch class (0 = C) the tonic is on, when there is no `.kbm` file.
+ * @property {number} [referenceFrequency=440] - Frequency of A4 in Hz, when there is no `.kbm` file.
+ * @property {string} [scl] - Scala scale file contents.
+ * @property {string} [kbm] - Scala keyboard mapping file contents.
+ */
+
+/**
+ * Resolve tuning settings into a frequency table.
+ * Errors name the file they come from, if any.
+ * @param {TuningSettings} settings
+ * @returns {{ ok: true, description: string, frequencies: Float64Array } | { ok: false, errors: TuningError[] }}
+ */
+export function buildTuning({
+  temperament,
+  root = 0,
+  referenceFrequency = DEFAULT_REFERENCE_FREQUENCY,
+  scl,
+  kbm,
+}) {
+  const inFile = (file, errors) => ({
+    ok: false,
+    errors: errors.map((error) => ({ file, ...error })),
+  });
+
+  let scale;
+  if (temperament === "scala") {
+    if (!scl) return inFile("", failure("No .scl file loaded").errors);
+    const parsed = parseScala(scl);
+    if (!parsed.ok) return inFile("scl", parsed.errors);
+    scale = parsed.scale;
+  } else if (Object.hasOwn(TEMPERAMENTS, temperament)) {
+    scale = TEMPERAMENTS[temperament].scale;
+  } else {
+    return inFile("", failure(`Unknown temperament: ${temperament}`).errors);
+  }
+
+  let mapping;
+  const mapped = temperament === "scala" && Boolean(kbm);
+  if (mapped) {
+    const parsed = parseKeyboardMapping(kbm);
+    if (!parsed.ok) return inFile("kbm", parsed.errors);
+    mapping = parsed.mapping;
+  } else {
+    if (!(referenceFrequency > 0) || !Number.isFinite(referenceFrequency)) {
+      return inFile("", failure("Reference frequency must be a positive number of Hz").errors);
+    }
+    const middleNote = MIDDLE_C + mod(Math.round(root), 12);
+    mapping = linearKeyboardMapping({ middleNote, referenceFrequency });
+  }
+
+  const table = buildFrequencyTable(scale, mapping);
+  if (!table.ok) return inFile(mapped ? "kbm" : "", table.errors);
+  return { ok: true, description: scale.description, frequencies: table.frequencies };
+}
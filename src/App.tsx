@@ -1,129 +1,105 @@
-import { Button, Div, H1, Span } from "style-props-html";
+import { Button, Div, H1, Input, Label } from "style-props-html";
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import Editor from "@monaco-editor/react";
-import { throttle } from "lodash";
+import Editor, { type OnMount } from "@monaco-editor/react";
+import { debounce, throttle } from "lodash";
 import { ToastContainer, toast } from "react-toastify";
-import useMonitorSize, { type BBox } from "./hooks/useMonitorSize";
 import type { Navigator as WebMidiNavigator, WebMidiApi } from "./webmidi.esm";
 import Recorder from "./Recorder";
+import PianoWidget, {
+  PianoViewControls,
+  QwertyControls,
+  type PianoView,
+  type QwertySettings,
+  type SplitPoint,
+} from "./PianoWidget";
+import { keyToNote, noteName, noteToKey, type KeyMapping } from "./pianoKeys";
+import PlaybackPanel from "./PlaybackPanel";
+import usePlayback from "./hooks/usePlayback";
+import useTakeRecorder from "./hooks/useTakeRecorder";
+import type { MidiSequence, PerformanceEvent } from "./midiFile";
+import PartsPanel, { type PartSlot, type RoutingMode } from "./PartsPanel";
+import {
+  buildTuning,
+  compilePreset,
+  renderTake,
+  type PartRouting,
+  type TuningResult,
+  type TuningSettings,
+} from "./nxoWorker";
+import { eventTime } from "./audioClock";
+import HarmonicEditor from "./HarmonicEditor";
+import EffectsEditor from "./EffectsEditor";
+import Visualizer from "./Visualizer";
+import TuningPanel from "./TuningPanel";
+import OutputPanel, {
+  type OutputMeter,
+  type OutputSettings,
+} from "./OutputPanel";
+import VoicePanel, {
+  type StealPolicy,
+  type VoiceDiagnostics,
+} from "./VoicePanel";
+import {
+  formatPresetErrors,
+  formatPresetSummary,
+  presetFormatFromUrl,
+  type CompileStatus,
+  parsePresetJson,
+  type NXOPreset,
+  type PresetFormat,
+} from "./nxoPreset";
+import MidiPanel, {
+  type MidiBinding,
+  type MidiInputInfo,
+  type MidiInputSettings,
+} from "./MidiPanel";
+import {
+  listParameters,
+  samePath,
+  setParameter,
+  type PresetParameter,
+} from "./presetParameters";
 
-function PianoWidget({
-  onNotePress,
-  onNoteRelease,
-  bbox,
-  midiActiveNoteIndices,
-}: {
-  bbox: BBox;
-  onNotePress: (note: number) => void;
-  onNoteRelease: (note: number) => void;
-  midiActiveNoteIndices: Set<number>;
-}) {
-  const { width, height } = bbox;
-  const whiteKeyWidth = width / 52;
-  const blackKeyWidth = 0.6 * whiteKeyWidth;
-  const blackKeyHeight = 0.8 * height;
-
-  const whiteNotesInOctave = [0, 2, 3, 5, 7, 8, 10];
-
-  const [whiteNoteIndices, blackNoteIndices] = useMemo(() => {
-    const white: number[] = [],
-      black: number[] = [];
-    for (let i = 0; i < 88; i++) {
-      (whiteNotesInOctave.includes(i % 12) ? white : black).push(i);
-    }
-    return [white, black] as const;
-  }, []);
-
-  const releaseQueueRef = useRef<Set<number>>(new Set());
-  const [heldNotes, setHeldNotes] = useState<Set<number>>(new Set());
-
-  const noteDown = useCallback(
-    (note: number) => {
-      setHeldNotes((prev) => {
-        const next = new Set(prev);
-        next.add(note);
-        return next;
-      });
-      onNotePress(note);
-      releaseQueueRef.current.add(note);
-    },
-    [onNotePress]
-  );
+// Matches MAX_PITCH_BEND_RANGE in the engine
+const MAX_PITCH_BEND_RANGE = 24;
 
-  const noteUp = useCallback(
-    (note: number) => {
-      setHeldNotes((prev) => {
-        const next = new Set(prev);
-        next.delete(note);
-        return next;
-      });
-      onNoteRelease(note);
-    },
-    [onNoteRelease]
-  );
+// A compile the synth has not answered by then is assumed lost, e.g. with the worklet
+const SYNTH_REPLY_TIMEOUT_MS = 2000;
 
-  const handleWindowMouseUp = useCallback(() => {
-    for (const note of releaseQueueRef.current) {
-      noteUp(note);
-    }
-    releaseQueueRef.current.clear();
-  }, [noteUp]);
+const DEFAULT_MIDI_INPUT: MidiInputSettings = {
+  enabled: true,
+  channel: null,
+  transpose: 0,
+};
 
-  useEffect(() => {
-    window.addEventListener("mouseup", handleWindowMouseUp);
-    return () => window.removeEventListener("mouseup", handleWindowMouseUp);
-  }, [handleWindowMouseUp]);
+// MIDI learn bindings are kept across page loads
+const MIDI_BINDINGS_KEY = "nxo-midi-bindings";
 
-  return (
-    <>
-      {whiteNoteIndices.map((noteIndex, idx) => {
-        const left = idx * whiteKeyWidth;
-        const active =
-          heldNotes.has(noteIndex) || midiActiveNoteIndices.has(noteIndex);
-        return (
-          <Span
-            key={`w-${noteIndex}`}
-            position="absolute"
-            left={`${left}px`}
-            top="0"
-            width={`${whiteKeyWidth}px`}
-            height={`${height}px`}
-            outline="1px solid black"
-            onMouseDown={() => noteDown(noteIndex)}
-            backgroundColor={active ? "hsl(100,100%,50%)" : "white"}
-            transition="background-color 0.100s ease-in-out"
-          ></Span>
-        );
-      })}
-      {blackNoteIndices.map((noteIndex) => {
-        const noteInOct = noteIndex % 12;
-        const floorOct = Math.floor(noteIndex / 12);
-        const whiteOffset = whiteNotesInOctave.indexOf(noteInOct - 1);
-        const whitePos = floorOct * 7 + whiteOffset;
-        const left = (whitePos + 1) * whiteKeyWidth - blackKeyWidth / 2;
-        const active =
-          heldNotes.has(noteIndex) || midiActiveNoteIndices.has(noteIndex);
-        return (
-          <Span
-            key={`b-${noteIndex}`}
-            position="absolute"
-            left={`${left}px`}
-            top="0"
-            width={`${blackKeyWidth}px`}
-            height={`${blackKeyHeight}px`}
-            backgroundColor={active ? "hsl(100,100%,40%)" : "black"}
-            onMouseDown={() => noteDown(noteIndex)}
-            transition="backgroundColor 0.100s ease-in-out"
-          ></Span>
-        );
-      })}
-    </>
-  );
+function loadMidiBindings(): MidiBinding[] {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MIDI_BINDINGS_KEY) ?? "[]");
+    if (!Array.isArray(stored)) return [];
+    return stored.filter(
+      (b): b is MidiBinding =>
+        typeof b === "object" &&
+        b !== null &&
+        [b.channel, b.cc, b.part].every(Number.isInteger) &&
+        Array.isArray(b.path) &&
+        b.path.every((segment: unknown) => typeof segment === "string") &&
+        typeof b.label === "string"
+    );
+  } catch {
+    return [];
+  }
 }
 
 function App() {
   const [audioContext, setAudioContext] = useState<AudioContext | null>(null);
   const synthNodeRef = useRef<AudioWorkletNode | null>(null);
+  const [analyser, setAnalyser] = useState<AnalyserNode | null>(null);
+  const [voiceDiagnostics, setVoiceDiagnostics] =
+    useState<VoiceDiagnostics | null>(null);
+  const [outputMeter, setOutputMeter] = useState<OutputMeter | null>(null);
   const [recordStream, setRecordStream] = useState<MediaStream | null>(null);
 
   const memoryLimit = useMemo(() => {
@@ -138,30 +114,265 @@ function App() {
     return 256 * 1024 ** 2;
   }, []);
 
-  const [code, setCode] = useState<string>("\nreturn {};\n");
   const [presets, setPresets] = useState<Record<string, string>>({});
-  const [selectedPreset, setSelectedPreset] = useState<string>("jazz-organ");
+  const [parts, setParts] = useState<PartSlot[]>([
+    {
+      preset: "jazz-organ",
+      code: "\nreturn {};\n",
+      format: "script",
+      low: 0,
+      high: 127,
+    },
+  ]);
+  const [editingPart, setEditingPart] = useState<number>(0);
+  const [routingMode, setRoutingMode] = useState<RoutingMode>("channel");
+
+  const code = parts[editingPart].code;
+  const format = parts[editingPart].format;
+  const selectedPreset = parts[editingPart].preset;
+
+  const updatePart = useCallback(
+    (index: number, changes: Partial<PartSlot>) => {
+      setParts((prev) =>
+        prev.map((part, i) => (i === index ? { ...part, ...changes } : part))
+      );
+    },
+    []
+  );
+
+  const setCode = useCallback(
+    (newCode: string) => updatePart(editingPart, { code: newCode }),
+    [updatePart, editingPart]
+  );
+
+  const [compileStatuses, setCompileStatuses] = useState<
+    Record<number, CompileStatus>
+  >({});
+  // resolvers for compiles the synth has not answered yet, by request id
+  const synthRepliesRef = useRef(
+    new Map<number, (status: CompileStatus) => void>()
+  );
+  const nextSynthRequestIdRef = useRef(0);
+  // what each part is actually playing, for the visualizer
+  const [compiledPresets, setCompiledPresets] = useState<
+    Record<number, NXOPreset>
+  >({});
+
+  const reportCompile = useCallback(
+    (index: number, status: CompileStatus, quiet: boolean) => {
+      setCompileStatuses((prev) => ({ ...prev, [index]: status }));
+      if (quiet) {
+        return;
+      }
+      if (status.ok) {
+        toast(
+          `Part ${index + 1} compiled: ${formatPresetSummary(status.summary)}`,
+          { type: "success", autoClose: 3000 }
+        );
+      } else {
+        console.error("compile error", status.errors);
+        toast(`Part ${index + 1}: ${formatPresetErrors(status.errors)}`, {
+          type: "error",
+        });
+      }
+    },
+    []
+  );
+
+  // Presets are evaluated and validated in a worker; only plain data reaches the audio thread.
+  // Quiet compiles (live edits from the visual editor) update the status without toasts.
+  const compilePart = useCallback(
+    async (
+      index: number,
+      partCode: string,
+      partFormat: PresetFormat,
+      quiet = false
+    ) => {
+      const result = await compilePreset(partCode, partFormat);
+      if (!result.ok) {
+        reportCompile(index, result, quiet);
+        return;
+      }
+      const node = synthNodeRef.current;
+      if (!node) return;
+      const requestId = nextSynthRequestIdRef.current++;
+      const status = await new Promise<CompileStatus>((resolve) => {
+        const timer = setTimeout(() => {
+          synthRepliesRef.current.delete(requestId);
+          resolve({
+            ok: false,
+            errors: [
+              {
+                path: "",
+                message: `The synth did not answer within ${SYNTH_REPLY_TIMEOUT_MS / 1000} s`,
+              },
+            ],
+          });
+        }, SYNTH_REPLY_TIMEOUT_MS);
+        synthRepliesRef.current.set(requestId, (reply) => {
+          clearTimeout(timer);
+          resolve(reply);
+        });
+        node.port.postMessage({
+          type: "compile",
+          preset: result.preset,
+          part: index,
+          requestId,
+        });
+      });
+      if (status.ok) {
+        setCompiledPresets((prev) => ({ ...prev, [index]: result.preset }));
+      }
+      reportCompile(index, status, quiet);
+    },
+    [reportCompile]
+  );
+
+  // The visual editor works on declarative presets; a bare harmonic map is shown as a full preset
+  const visualPreset = useMemo<NXOPreset | null>(
+    () => (format === "json" ? parsePresetJson(code) : null),
+    [code, format]
+  );
+
+  const pushLivePreset = useMemo(
+    () =>
+      debounce(
+        (index: number, presetCode: string) =>
+          compilePart(index, presetCode, "json", true),
+        150
+      ),
+    [compilePart]
+  );
+  useEffect(() => () => pushLivePreset.cancel(), [pushLivePreset]);
+
+  const onVisualEdit = useCallback(
+    (preset: NXOPreset) => {
+      const presetCode = JSON.stringify(preset, null, 2) + "\n";
+      updatePart(editingPart, { code: presetCode });
+      pushLivePreset(editingPart, presetCode);
+    },
+    [updatePart, editingPart, pushLivePreset]
+  );
+
+  const convertToJson = useCallback(async () => {
+    const result = await compilePreset(code, format);
+    if (!result.ok) {
+      reportCompile(editingPart, result, false);
+      return;
+    }
+    updatePart(editingPart, {
+      preset: "",
+      format: "json",
+      code: JSON.stringify(result.preset, null, 2) + "\n",
+    });
+  }, [code, format, editingPart, reportCompile, updatePart]);
+
+  const editorRef = useRef<Parameters<OnMount>[0] | null>(null);
+  const monacoRef = useRef<Parameters<OnMount>[1] | null>(null);
+  const [editorReady, setEditorReady] = useState(false);
+  const onEditorMount = useCallback<OnMount>((editor, monaco) => {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+    setEditorReady(true);
+  }, []);
+
+  // Show the editing part's last compile errors as markers on the offending lines
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    const model = editorRef.current?.getModel();
+    if (!editorReady || !monaco || !model) return;
+    const status = compileStatuses[editingPart];
+    const errors = status && !status.ok ? status.errors : [];
+    monaco.editor.setModelMarkers(
+      model,
+      "nxo-compile",
+      errors.map((error) => {
+        const line = Math.min(error.line ?? 1, model.getLineCount());
+        return {
+          severity: monaco.MarkerSeverity.Error,
+          message: error.path
+            ? `${error.path}: ${error.message}`
+            : error.message,
+          startLineNumber: line,
+          startColumn: error.column ?? 1,
+          endLineNumber: line,
+          endColumn: model.getLineMaxColumn(line),
+        };
+      })
+    );
+  }, [compileStatuses, editingPart, editorReady]);
+
+  const editingStatus = compileStatuses[editingPart];
 
   const compileCode = useCallback(() => {
-    if (!synthNodeRef.current) return;
-    synthNodeRef.current.port.postMessage({ type: "compile", code });
-  }, [code]);
+    compilePart(editingPart, code, format);
+  }, [compilePart, editingPart, code, format]);
+
+  const loadPreset = useCallback(
+    (index: number, name: string, presetUrls: Record<string, string>) => {
+      const url = presetUrls[name];
+      updatePart(
+        index,
+        url
+          ? { preset: name, format: presetFormatFromUrl(url) }
+          : { preset: name }
+      );
+      if (!url) return;
+      fetch(url)
+        .then((r) => r.text())
+        .then((presetCode) => updatePart(index, { code: presetCode }))
+        .catch((e) => console.error(e));
+    },
+    [updatePart]
+  );
 
   useEffect(() => {
     fetch("/presets.json")
       .then((r) => r.json())
-      .then(setPresets)
+      .then((presetUrls: Record<string, string>) => {
+        setPresets(presetUrls);
+        loadPreset(0, "jazz-organ", presetUrls);
+      })
       .catch((e) => console.error("presets", e));
-  }, []);
+  }, [loadPreset]);
 
+  const routing = useMemo<PartRouting>(
+    () =>
+      routingMode === "zones"
+        ? {
+            mode: "zones",
+            zones: parts.map(({ low, high }, part) => ({ part, low, high })),
+          }
+        : { mode: "channel" },
+    [routingMode, parts]
+  );
   useEffect(() => {
-    if (selectedPreset && presets[selectedPreset]) {
-      fetch(presets[selectedPreset])
-        .then((r) => r.text())
-        .then(setCode)
-        .catch((e) => console.error(e));
-    }
-  }, [selectedPreset, presets]);
+    synthNodeRef.current?.port.postMessage({ type: "routing", routing });
+  }, [routing, audioContext]);
+
+  const addPart = useCallback(() => {
+    const index = parts.length;
+    setParts([...parts, { ...parts[editingPart] }]);
+    setEditingPart(index);
+    compilePart(index, parts[editingPart].code, parts[editingPart].format);
+  }, [parts, editingPart, compilePart]);
+
+  const removeLastPart = useCallback(() => {
+    const index = parts.length - 1;
+    synthNodeRef.current?.port.postMessage({ type: "removePart", part: index });
+    setParts(parts.slice(0, index));
+    setEditingPart((prev) => Math.min(prev, index - 1));
+    setCompileStatuses((prev) => {
+      const next = { ...prev };
+      delete next[index];
+      return next;
+    });
+    setCompiledPresets((prev) => {
+      const next = { ...prev };
+      delete next[index];
+      return next;
+    });
+  }, [parts]);
 
   const startAudio = useCallback(async () => {
     const ctx = new AudioContext({
@@ -172,31 +383,257 @@ function App() {
     const node = new AudioWorkletNode(ctx, "nxo-processor", {
       outputChannelCount: [2],
     });
+    node.port.onmessage = (event) => {
+      const { type, requestId, ok, summary, errors } = event.data;
+      if (type === "compileResult") {
+        const resolve = synthRepliesRef.current.get(requestId);
+        synthRepliesRef.current.delete(requestId);
+        resolve?.(ok ? { ok, summary } : { ok, errors });
+      }
+      if (type === "diagnostics") {
+        setVoiceDiagnostics(event.data.diagnostics);
+      }
+      if (type === "meter") {
+        setOutputMeter(event.data.meter);
+      }
+    };
     const dest = new MediaStreamAudioDestinationNode(ctx);
     node.connect(ctx.destination);
     node.connect(dest);
+    const analyserNode = new AnalyserNode(ctx, { fftSize: 4096 });
+    node.connect(analyserNode);
+    setAnalyser(analyserNode);
     synthNodeRef.current = node;
     setRecordStream(dest.stream);
     setAudioContext(ctx);
     node.port.postMessage({ type: "start" });
-    compileCode();
+    parts.forEach((part, index) => compilePart(index, part.code, part.format));
     toast("Audio started successfully!", { type: "success", autoClose: 3000 });
-  }, [compileCode]);
+  }, [parts, compilePart]);
+
+  const takeRecorder = useTakeRecorder(audioContext);
+  const captureEvent = takeRecorder.capture;
+
+  // Notes and controllers are stamped with the context time they should sound at,
+  // so the synth applies them on the exact frame; a take being recorded gets the same time
+  const postPerformanceEvent = useCallback(
+    (message: PerformanceEvent, timeStamp?: number) => {
+      const node = synthNodeRef.current;
+      if (!node) return;
+      const time = eventTime(node.context, timeStamp);
+      node.port.postMessage({ ...message, time });
+      captureEvent(message, time);
+    },
+    [captureEvent]
+  );
+
+  const sendNoteOn = useCallback(
+    (note: number, velocity: number, channel: number, timeStamp?: number) =>
+      postPerformanceEvent(
+        { type: "noteOn", note, velocity, channel },
+        timeStamp
+      ),
+    [postPerformanceEvent]
+  );
+
+  const sendNoteOff = useCallback(
+    (note: number, channel: number, timeStamp?: number) =>
+      postPerformanceEvent({ type: "noteOff", note, channel }, timeStamp),
+    [postPerformanceEvent]
+  );
+
+  const [keyMapping, setKeyMapping] = useState<KeyMapping>({ transpose: 0 });
+  const keyMappingRef = useRef(keyMapping);
+  keyMappingRef.current = keyMapping;
+  // What each held key started, by an id for the physical key (`piano:<key>` or
+  // `<input>:<channel>:<note>`), so its note-off matches even if the transposition
+  // or channel changed in between
+  const soundingKeysRef = useRef(
+    new Map<string, { key: number; note: number; channel: number }>()
+  );
+
+  // Piano and MIDI keys both go through the shared key mapping on their way to the synth.
+  // Returns whether the key sounded a note; keys mapped off the MIDI range don't
+  const pressKey = useCallback(
+    (
+      id: string,
+      key: number,
+      velocity: number,
+      channel: number,
+      timeStamp?: number
+    ) => {
+      const note = keyToNote(key, keyMappingRef.current);
+      if (note === null) return false;
+      soundingKeysRef.current.set(id, { key, note, channel });
+      sendNoteOn(note, velocity, channel, timeStamp);
+      return true;
+    },
+    [sendNoteOn]
+  );
+
+  // Returns the key that was released, if it was sounding
+  const releaseKey = useCallback(
+    (id: string, timeStamp?: number) => {
+      const sounding = soundingKeysRef.current.get(id);
+      if (!sounding) return undefined;
+      soundingKeysRef.current.delete(id);
+      sendNoteOff(sounding.note, sounding.channel, timeStamp);
+      return sounding.key;
+    },
+    [sendNoteOff]
+  );
+
+  // The on-screen piano plays the part being edited
+  const pianoChannel = routingMode === "channel" ? editingPart : 0;
 
-  const onNotePress = useCallback((note: number) => {
+  const onPianoKeyPress = useCallback(
+    (key: number, velocity: number) =>
+      pressKey(`piano:${key}`, key, velocity, pianoChannel),
+    [pressKey, pianoChannel]
+  );
+
+  const onPianoKeyRelease = useCallback(
+    (key: number) => releaseKey(`piano:${key}`),
+    [releaseKey]
+  );
+
+  const [pianoView, setPianoView] = useState<PianoView>({
+    range: "4-octaves",
+    labels: "octaves",
+  });
+
+  const splitPoints = useMemo<SplitPoint[]>(
+    () =>
+      routingMode === "zones"
+        ? parts.flatMap(({ low }, index) =>
+            low > 0
+              ? [
+                  {
+                    note: low,
+                    label: `Part ${index + 1} from ${noteName(low)}`,
+                  },
+                ]
+              : []
+          )
+        : [],
+    [routingMode, parts]
+  );
+
+  const [qwerty, setQwerty] = useState<QwertySettings>({
+    enabled: true,
+    layout: "piano",
+    octave: 4,
+  });
+
+  const onSustainPedal = useCallback(
+    (down: boolean, channel: number, timeStamp?: number) =>
+      postPerformanceEvent({ type: "sustain", down, channel }, timeStamp),
+    [postPerformanceEvent]
+  );
+
+  const onPitchBend = useCallback(
+    (value: number, channel: number, timeStamp?: number) =>
+      postPerformanceEvent({ type: "pitchBend", value, channel }, timeStamp),
+    [postPerformanceEvent]
+  );
+
+  const onModWheel = useCallback(
+    (value: number, channel: number, timeStamp?: number) =>
+      postPerformanceEvent({ type: "modWheel", value, channel }, timeStamp),
+    [postPerformanceEvent]
+  );
+
+  const [pitchBendRange, setPitchBendRange] = useState<number>(2);
+  useEffect(() => {
     synthNodeRef.current?.port.postMessage({
-      type: "noteOn",
-      note: note + 21,
-      velocity: 127,
+      type: "pitchBendRange",
+      semitones: pitchBendRange,
     });
-  }, []);
+  }, [pitchBendRange, audioContext]);
 
-  const onNoteRelease = useCallback((note: number) => {
+  const [polyphony, setPolyphony] = useState<number>(16);
+  const [stealPolicy, setStealPolicy] = useState<StealPolicy>("released-first");
+  useEffect(() => {
     synthNodeRef.current?.port.postMessage({
-      type: "noteOff",
-      note: note + 21,
+      type: "voices",
+      polyphony,
+      stealPolicy,
     });
-  }, []);
+  }, [polyphony, stealPolicy, audioContext]);
+
+  // single notes are quiet at unity gain; the limiter keeps the boost from clipping chords
+  const [output, setOutput] = useState<OutputSettings>({
+    bandLimit: 0.9,
+    oversampling: 1,
+    smoothing: "off",
+    volume: 12,
+    compressor: {
+      enabled: false,
+      threshold: -18,
+      ratio: 4,
+      attack: 0.01,
+      release: 0.2,
+      makeup: 0,
+    },
+    mode: "limiter",
+  });
+  useEffect(() => {
+    const { compressor, ...rest } = output;
+    const { enabled, ...compressorParams } = compressor;
+    synthNodeRef.current?.port.postMessage({
+      type: "output",
+      ...rest,
+      compressor: enabled ? compressorParams : null,
+    });
+  }, [output, audioContext]);
+
+  const [tuning, setTuning] = useState<TuningSettings>({
+    temperament: "equal",
+    root: 0,
+    referenceFrequency: 440,
+  });
+  const [tuningStatus, setTuningStatus] = useState<TuningResult | null>(null);
+  // what the synth is tuned to, for offline renders; null until a table has been built
+  const tuningFrequenciesRef = useRef<Float64Array | null>(null);
+  // the table is built off the audio thread; a failed build keeps the synth's previous tuning
+  useEffect(() => {
+    let cancelled = false;
+    setTuningStatus(null);
+    buildTuning(tuning).then((result) => {
+      if (cancelled) return;
+      setTuningStatus(result);
+      if (result.ok) {
+        tuningFrequenciesRef.current = result.frequencies;
+        synthNodeRef.current?.port.postMessage({
+          type: "tuning",
+          frequencies: result.frequencies,
+        });
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tuning, audioContext]);
+
+  // the synth only reports its voice counters when asked
+  useEffect(() => {
+    if (!audioContext) return;
+    const timer = setInterval(
+      () => synthNodeRef.current?.port.postMessage({ type: "diagnostics" }),
+      500
+    );
+    return () => clearInterval(timer);
+  }, [audioContext]);
+
+  // meters hold the largest reading since the last request, so nothing between polls is missed
+  useEffect(() => {
+    if (!audioContext) return;
+    const timer = setInterval(
+      () => synthNodeRef.current?.port.postMessage({ type: "meter" }),
+      100
+    );
+    return () => clearInterval(timer);
+  }, [audioContext]);
 
   const midiCache = useRef<Set<number>>(new Set());
   const [midiActive, setMidiActive] = useState<Set<number>>(new Set());
@@ -208,52 +645,290 @@ function App() {
       }),
     []
   );
-  const activate = (n: number) => {
-    midiCache.current.add(n);
-    sync();
+  const activate = useCallback(
+    (n: number) => {
+      midiCache.current.add(n);
+      sync();
+    },
+    [sync]
+  );
+  const deactivate = useCallback(
+    (n: number) => {
+      midiCache.current.delete(n);
+      sync();
+    },
+    [sync]
+  );
+
+  // keys lit by playback, by `<channel>:<note>`, so they go dark even if the transposition changed
+  const playbackKeysRef = useRef(new Map<string, number>());
+  // Played sequences are already timed against the audio clock; the piano lights up as they sound
+  const onPlaybackEvent = useCallback(
+    (event: PerformanceEvent, time: number) => {
+      const node = synthNodeRef.current;
+      if (!node) return;
+      node.port.postMessage({ ...event, time });
+      if (event.type !== "noteOn" && event.type !== "noteOff") return;
+      const id = `${event.channel}:${event.note}`;
+      const delay = Math.max(0, (time - node.context.currentTime) * 1000);
+      if (event.type === "noteOn") {
+        const key = noteToKey(event.note, keyMappingRef.current);
+        playbackKeysRef.current.set(id, key);
+        setTimeout(() => activate(key), delay);
+      } else {
+        const key = playbackKeysRef.current.get(id);
+        playbackKeysRef.current.delete(id);
+        if (key !== undefined) setTimeout(() => deactivate(key), delay);
+      }
+    },
+    [activate, deactivate]
+  );
+  const playback = usePlayback(audioContext, onPlaybackEvent);
+
+  // Takes re-render through whatever each part has compiled now, with the live synth's settings
+  const onRenderTake = useCallback(
+    (take: MidiSequence) =>
+      renderTake(
+        parts.map((_, index) => compiledPresets[index] ?? null),
+        take,
+        {
+          routing,
+          tuning: tuningFrequenciesRef.current,
+          pitchBendRange,
+          output,
+        }
+      ),
+    [parts, compiledPresets, routing, pitchBendRange, output]
+  );
+
+  const [midiAccess, setMidiAccess] = useState<WebMidiApi.MIDIAccess | null>(
+    null
+  );
+  const [midiInputs, setMidiInputs] = useState<
+    Omit<MidiInputInfo, "settings">[]
+  >([]);
+  const [midiInputSettings, setMidiInputSettings] = useState<
+    Record<string, MidiInputSettings>
+  >({});
+  const [midiBindings, setMidiBindings] =
+    useState<MidiBinding[]>(loadMidiBindings);
+  useEffect(() => {
+    localStorage.setItem(MIDI_BINDINGS_KEY, JSON.stringify(midiBindings));
+  }, [midiBindings]);
+  // path of the parameter waiting for a controller to move
+  const [midiLearning, setMidiLearning] = useState<string[] | null>(null);
+
+  const editingParameters = useMemo<PresetParameter[]>(
+    () => (visualPreset ? listParameters(visualPreset) : []),
+    [visualPreset]
+  );
+
+  // Releases whatever an input is holding, for when it goes away or is switched off
+  const releaseInputKeys = useCallback(
+    (inputId: string) => {
+      for (const id of [...soundingKeysRef.current.keys()]) {
+        if (!id.startsWith(`${inputId}:`)) continue;
+        const key = releaseKey(id);
+        if (key !== undefined) deactivate(key);
+      }
+    },
+    [releaseKey, deactivate]
+  );
+
+  const onMidiInputChange = useCallback(
+    (id: string, settings: MidiInputSettings) => {
+      setMidiInputSettings((prev) => ({ ...prev, [id]: settings }));
+      if (!settings.enabled) releaseInputKeys(id);
+    },
+    [releaseInputKeys]
+  );
+
+  const partsRef = useRef(parts);
+  partsRef.current = parts;
+  // presets changed by controllers since the synth last got them, by part
+  const pendingLearnedRef = useRef(new Map<number, string>());
+  // controller sweeps reach the synth while the knob is still moving, unlike typing,
+  // which waits for a pause
+  const pushLearnedPresets = useMemo(
+    () =>
+      throttle(() => {
+        const pending = pendingLearnedRef.current;
+        pendingLearnedRef.current = new Map();
+        pending.forEach((presetCode, index) =>
+          compilePart(index, presetCode, "json", true)
+        );
+      }, 100),
+    [compilePart]
+  );
+  useEffect(() => () => pushLearnedPresets.cancel(), [pushLearnedPresets]);
+
+  const applyBinding = (binding: MidiBinding, position: number) => {
+    const part = partsRef.current[binding.part];
+    if (!part || part.format !== "json") return;
+    const preset = parsePresetJson(part.code);
+    const parameter =
+      preset &&
+      listParameters(preset).find((p) => samePath(p.path, binding.path));
+    if (!parameter) return;
+    const presetCode =
+      JSON.stringify(setParameter(preset, parameter, position), null, 2) + "\n";
+    // the next controller message may arrive before the update renders
+    partsRef.current = partsRef.current.with(binding.part, {
+      ...part,
+      code: presetCode,
+    });
+    updatePart(binding.part, { code: presetCode });
+    pendingLearnedRef.current.set(binding.part, presetCode);
+    pushLearnedPresets();
   };
-  const deactivate = (n: number) => {
-    midiCache.current.delete(n);
-    sync();
+
+  const learnBinding = (channel: number, cc: number) => {
+    const parameter =
+      midiLearning &&
+      editingParameters.find((p) => samePath(p.path, midiLearning));
+    setMidiLearning(null);
+    if (!parameter) return;
+    // a controller drives one parameter; learning it again moves it
+    setMidiBindings((prev) => [
+      ...prev.filter((b) => b.channel !== channel || b.cc !== cc),
+      {
+        channel,
+        cc,
+        part: editingPart,
+        path: parameter.path,
+        label: parameter.label,
+      },
+    ]);
+  };
+
+  // Replaced every render, so the listeners always see the current settings and bindings
+  const midiMessageRef = useRef<
+    (inputId: string, msg: WebMidiApi.MIDIMessageEvent) => void
+  >(() => {});
+  midiMessageRef.current = (inputId, msg) => {
+    const [st, nn, vel] = msg.data;
+    // the vendored typings predate it, but MIDI messages are DOM events with a `timeStamp`
+    const timeStamp = (msg as unknown as Event).timeStamp;
+    const cmd = st & 0xf0;
+    const channel = st & 0x0f;
+    const id = `${inputId}:${channel}:${nn}`;
+    // note-offs always get through, so changing the filters mid-note can't leave it stuck
+    if (cmd === 0x80 || (cmd === 0x90 && vel === 0)) {
+      const key = releaseKey(id, timeStamp);
+      if (key !== undefined) deactivate(key);
+      return;
+    }
+    const settings = midiInputSettings[inputId] ?? DEFAULT_MIDI_INPUT;
+    if (!settings.enabled) return;
+    if (settings.channel !== null && channel !== settings.channel) return;
+    if (cmd === 0x90) {
+      const key = nn + settings.transpose;
+      if (key < 0 || key > 127) return;
+      if (pressKey(id, key, vel, channel, timeStamp)) activate(key);
+    } else if (cmd === 0xb0) {
+      // control change: nn is the controller number, vel its value
+      if (midiLearning !== null) {
+        learnBinding(channel, nn);
+        return;
+      }
+      for (const binding of midiBindings) {
+        if (binding.channel === channel && binding.cc === nn) {
+          applyBinding(binding, vel / 127);
+        }
+      }
+      if (nn === 64) {
+        onSustainPedal(vel >= 64, channel, timeStamp);
+      } else if (nn === 1) {
+        onModWheel(vel / 127, channel, timeStamp);
+      }
+    } else if (cmd === 0xe0) {
+      // pitch bend: 14-bit value, LSB first, centered on 8192
+      const bend = ((vel << 7) | nn) - 8192;
+      onPitchBend(bend / (bend < 0 ? 8192 : 8191), channel, timeStamp);
+    }
   };
 
+  const midiSupported = Boolean(navigator.requestMIDIAccess);
   useEffect(() => {
     if (!navigator.requestMIDIAccess) return;
+    let cancelled = false;
     (navigator as unknown as WebMidiNavigator)
       .requestMIDIAccess({ sysex: false })
-      .then((m) => {
-        for (const input of m.inputs.values()) input.onmidimessage = onM;
-        m.onstatechange = (e) => {
-          if (e.port.type === "input" && e.port.state === "connected") {
-            (e.port as WebMidiApi.MIDIInput).onmidimessage = onM;
-          }
-        };
-      });
-    function onM(msg: WebMidiApi.MIDIMessageEvent) {
-      const [st, nn, vel] = msg.data;
-      const cmd = st & 0xf0;
-      if (cmd === 0x90 && vel > 0) {
-        onNotePress(nn - 21);
-        activate(nn - 21);
-      } else if (cmd === 0x80 || (cmd === 0x90 && vel === 0)) {
-        onNoteRelease(nn - 21);
-        deactivate(nn - 21);
+      .then((access) => {
+        if (!cancelled) setMidiAccess(access);
+      })
+      .catch((e) => console.error("MIDI", e));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Inputs are listened to only while connected, and never after unmounting
+  useEffect(() => {
+    if (!midiAccess) return;
+    // disconnected inputs stay listed so their settings can still be seen
+    const known = new Map<string, WebMidiApi.MIDIPort>();
+    const listeners = new Map<
+      string,
+      {
+        input: WebMidiApi.MIDIInput;
+        listener: EventListener;
       }
-    }
-  }, [onNotePress, onNoteRelease]);
+    >();
 
-  const pianoRef = useRef<HTMLDivElement>(null);
-  const bbox = useMonitorSize(pianoRef);
+    const detach = (id: string) => {
+      const attached = listeners.get(id);
+      if (!attached) return;
+      attached.input.removeEventListener("midimessage", attached.listener);
+      listeners.delete(id);
+    };
 
-  const [pianoWidth, setPianoWidth] = useState<number>(0);
-  useEffect(() => {
-    if (pianoRef.current) {
-      const newWidth = pianoRef.current.clientWidth;
-      if (newWidth !== pianoWidth) {
-        setPianoWidth(newWidth);
+    const update = (port: WebMidiApi.MIDIPort) => {
+      known.set(port.id, port);
+      const input = port as WebMidiApi.MIDIInput;
+      if (port.state !== "connected") {
+        detach(port.id);
+        releaseInputKeys(port.id);
+      } else if (listeners.get(port.id)?.input !== input) {
+        detach(port.id);
+        const listener = (msg: Event) =>
+          midiMessageRef.current(
+            port.id,
+            msg as unknown as WebMidiApi.MIDIMessageEvent
+          );
+        input.addEventListener("midimessage", listener);
+        listeners.set(port.id, { input, listener });
       }
-    }
-  });
+    };
+
+    const publish = () =>
+      setMidiInputs(
+        [...known.values()].map(
+          ({ id, name, manufacturer, state, connection }) => ({
+            id,
+            name: name ?? "",
+            manufacturer: manufacturer ?? "",
+            state,
+            connection,
+          })
+        )
+      );
+
+    const onStateChange = (e: Event) => {
+      const { port } = e as unknown as WebMidiApi.MIDIConnectionEvent;
+      if (port.type !== "input") return;
+      update(port);
+      publish();
+    };
+
+    for (const input of midiAccess.inputs.values()) update(input);
+    publish();
+    midiAccess.addEventListener("statechange", onStateChange);
+    return () => {
+      midiAccess.removeEventListener("statechange", onStateChange);
+      for (const id of [...listeners.keys()]) detach(id);
+    };
+  }, [midiAccess, releaseInputKeys]);
 
   return (
     <Div width="100%" height="100%" display="flex">
@@ -265,9 +940,21 @@ function App() {
         gap="0.5rem"
       >
         <H1 fontSize="2rem">Preset Builder</H1>
+        <PartsPanel
+          parts={parts}
+          routingMode={routingMode}
+          editingPart={editingPart}
+          onRoutingModeChange={setRoutingMode}
+          onEditingPartChange={setEditingPart}
+          onPartRangeChange={(index, low, high) =>
+            updatePart(index, { low, high })
+          }
+          onAddPart={addPart}
+          onRemovePart={removeLastPart}
+        />
         <select
           value={selectedPreset}
-          onChange={(e) => setSelectedPreset(e.target.value)}
+          onChange={(e) => loadPreset(editingPart, e.target.value, presets)}
         >
           {Object.keys(presets).map((p) => (
             <option key={p} value={p}>
@@ -276,20 +963,57 @@ function App() {
           ))}
           <option value="">custom</option>
         </select>
-        <Div flex="1">
+        <select
+          value={format}
+          onChange={(e) =>
+            updatePart(editingPart, { format: e.target.value as PresetFormat })
+          }
+        >
+          <option value="script">JavaScript preset script</option>
+          <option value="json">JSON preset</option>
+        </select>
+        <Div flex="1" minHeight="10rem">
           <Editor
             height="100%"
-            language="javascript"
+            language={format === "json" ? "json" : "javascript"}
             value={code}
             onChange={(v) => setCode(v ?? "")}
+            onMount={onEditorMount}
           />
         </Div>
+        <HarmonicEditor
+          preset={visualPreset}
+          isScript={format === "script"}
+          onChange={onVisualEdit}
+          onConvertToJson={convertToJson}
+        />
+        <EffectsEditor preset={visualPreset} onChange={onVisualEdit} />
         <Button
           onClick={compileCode}
           disabled={!audioContext}
           fontSize="1.5rem"
+          backgroundColor={
+            !audioContext || !editingStatus
+              ? undefined
+              : editingStatus.ok
+                ? "hsl(100,60%,85%)"
+                : "hsl(0,80%,88%)"
+          }
+          title={
+            editingStatus
+              ? editingStatus.ok
+                ? formatPresetSummary(editingStatus.summary)
+                : formatPresetErrors(editingStatus.errors)
+              : undefined
+          }
         >
-          {audioContext ? "Compile" : "Start audio to enable compiling..."}
+          {!audioContext
+            ? "Start audio to enable compiling..."
+            : !editingStatus
+              ? "Compile"
+              : editingStatus.ok
+                ? `Compile (last: ✓ ${formatPresetSummary(editingStatus.summary)})`
+                : `Compile (last: ✗ ${editingStatus.errors.length} error${editingStatus.errors.length === 1 ? "" : "s"})`}
         </Button>
       </Div>
       <Div
@@ -308,22 +1032,91 @@ function App() {
           </Button>
         ) : (
           <>
-            <Div
-              width="min(100%,88rem)"
-              height="5rem"
-              position="relative"
-              ref={pianoRef}
-            >
-              {bbox && (
-                <PianoWidget
-                  midiActiveNoteIndices={midiActive}
-                  bbox={bbox}
-                  onNotePress={onNotePress}
-                  onNoteRelease={onNoteRelease}
-                />
-              )}
+            <Div width="min(100%,88rem)">
+              <PianoWidget
+                view={pianoView}
+                mapping={keyMapping}
+                activeKeys={midiActive}
+                splitPoints={splitPoints}
+                onKeyPress={onPianoKeyPress}
+                onKeyRelease={onPianoKeyRelease}
+                qwerty={qwerty}
+                onQwertyChange={setQwerty}
+              />
             </Div>
-            <Recorder stream={recordStream} memoryLimitBytes={memoryLimit} />
+            <PianoViewControls
+              view={pianoView}
+              mapping={keyMapping}
+              onViewChange={setPianoView}
+              onMappingChange={setKeyMapping}
+            />
+            <QwertyControls settings={qwerty} onChange={setQwerty} />
+            <MidiPanel
+              inputs={
+                midiSupported
+                  ? midiInputs.map((info) => ({
+                      ...info,
+                      settings:
+                        midiInputSettings[info.id] ?? DEFAULT_MIDI_INPUT,
+                    }))
+                  : null
+              }
+              onInputChange={onMidiInputChange}
+              editingPart={editingPart}
+              parameters={editingParameters}
+              learning={midiLearning}
+              onLearn={setMidiLearning}
+              bindings={midiBindings}
+              onRemoveBinding={(index) =>
+                setMidiBindings((prev) => prev.filter((_, i) => i !== index))
+              }
+            />
+            <PlaybackPanel playback={playback} channel={pianoChannel} />
+            <Label display="flex" alignItems="center" gap="0.5rem">
+              Pitch bend range (semitones)
+              <Input
+                type="number"
+                min={0}
+                max={MAX_PITCH_BEND_RANGE}
+                width="4rem"
+                value={pitchBendRange}
+                onChange={(e) => {
+                  const semitones = Number(e.currentTarget.value);
+                  if (!Number.isFinite(semitones)) return;
+                  setPitchBendRange(
+                    Math.min(Math.max(semitones, 0), MAX_PITCH_BEND_RANGE)
+                  );
+                }}
+              />
+            </Label>
+            <TuningPanel
+              settings={tuning}
+              status={tuningStatus}
+              onChange={setTuning}
+            />
+            <VoicePanel
+              polyphony={polyphony}
+              stealPolicy={stealPolicy}
+              diagnostics={voiceDiagnostics}
+              onPolyphonyChange={setPolyphony}
+              onStealPolicyChange={setStealPolicy}
+            />
+            <OutputPanel
+              settings={output}
+              meter={outputMeter}
+              onChange={setOutput}
+            />
+            <Recorder
+              stream={recordStream}
+              memoryLimitBytes={memoryLimit}
+              takeRecorder={takeRecorder}
+              playback={playback}
+              onRender={onRenderTake}
+            />
+            <Visualizer
+              preset={compiledPresets[editingPart] ?? null}
+              analyser={analyser}
+            />
           </>
         )}
         <ToastContainer />
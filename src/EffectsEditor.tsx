@@ -0,0 +1,366 @@
+import { Button, Div, Label, Span } from "style-props-html";
+import type {
+  EffectsDef,
+  EQBand,
+  EQBandType,
+  NXOPreset,
+  StereoDef,
+} from "./nxoPreset";
+
+export interface EffectsEditorProps {
+  // null when the editing part's code is not a parseable declarative preset
+  preset: NXOPreset | null;
+  onChange: (preset: NXOPreset) => void;
+}
+
+type EffectName = keyof EffectsDef;
+
+interface SliderSpec {
+  field: string;
+  label: string;
+  min: number;
+  max: number;
+  // logarithmic for frequencies and times, where the low end needs the resolution
+  log?: boolean;
+  digits: number;
+}
+
+// Matches STEREO_DEFAULTS in public/nxo.js
+const STEREO_DEFAULTS: Required<StereoDef> = {
+  pan: 0,
+  keyFollow: 0,
+  spread: 0,
+  width: 1,
+};
+
+const STEREO_SLIDERS: SliderSpec[] = [
+  { field: "pan", label: "pan", min: -1, max: 1, digits: 2 },
+  { field: "keyFollow", label: "key follow", min: -1, max: 1, digits: 2 },
+  { field: "spread", label: "spread", min: 0, max: 1, digits: 2 },
+  { field: "width", label: "width", min: 0, max: 1, digits: 2 },
+];
+
+// Matches EFFECT_DEFAULTS in public/nxo.js
+const EFFECT_DEFAULTS: Required<EffectsDef> = {
+  eq: { enabled: true, bands: [] },
+  chorus: { enabled: true, mode: "chorus", rate: 0.8, depth: 0.002, mix: 0.5 },
+  delay: {
+    enabled: true,
+    time: 0.35,
+    feedback: 0.35,
+    mix: 0.25,
+    damping: 0.3,
+    pingPong: false,
+  },
+  reverb: { enabled: true, size: 0.7, damping: 0.5, mix: 0.25, preDelay: 0.01 },
+};
+
+// Bounds match the validator in public/nxo-preset.js
+const EFFECT_SLIDERS: Record<Exclude<EffectName, "eq">, SliderSpec[]> = {
+  chorus: [
+    {
+      field: "rate",
+      label: "rate (Hz)",
+      min: 0.05,
+      max: 10,
+      log: true,
+      digits: 2,
+    },
+    { field: "depth", label: "depth (s)", min: 0, max: 0.01, digits: 4 },
+    { field: "mix", label: "mix", min: 0, max: 1, digits: 2 },
+  ],
+  delay: [
+    {
+      field: "time",
+      label: "time (s)",
+      min: 0.01,
+      max: 2,
+      log: true,
+      digits: 3,
+    },
+    { field: "feedback", label: "feedback", min: 0, max: 0.98, digits: 2 },
+    { field: "damping", label: "damping", min: 0, max: 1, digits: 2 },
+    { field: "mix", label: "mix", min: 0, max: 1, digits: 2 },
+  ],
+  reverb: [
+    { field: "size", label: "size", min: 0, max: 1, digits: 2 },
+    { field: "damping", label: "damping", min: 0, max: 1, digits: 2 },
+    { field: "preDelay", label: "pre-delay (s)", min: 0, max: 0.2, digits: 3 },
+    { field: "mix", label: "mix", min: 0, max: 1, digits: 2 },
+  ],
+};
+
+const BAND_SLIDERS: SliderSpec[] = [
+  {
+    field: "frequency",
+    label: "Hz",
+    min: 20,
+    max: 20000,
+    log: true,
+    digits: 0,
+  },
+  { field: "gain", label: "dB", min: -24, max: 24, digits: 1 },
+  { field: "q", label: "Q", min: 0.1, max: 20, log: true, digits: 2 },
+];
+
+const BAND_TYPES: EQBandType[] = [
+  "peaking",
+  "lowshelf",
+  "highshelf",
+  "lowpass",
+  "highpass",
+];
+
+const DEFAULT_BAND: EQBand = {
+  type: "peaking",
+  frequency: 1000,
+  gain: 0,
+  q: 0.707,
+};
+
+function toSlider(value: number, { min, max, log }: SliderSpec) {
+  const fraction = log
+    ? Math.log(value / min) / Math.log(max / min)
+    : (value - min) / (max - min);
+  return Math.min(Math.max(fraction, 0), 1);
+}
+
+function fromSlider(position: number, { min, max, log, digits }: SliderSpec) {
+  const value = log
+    ? min * Math.pow(max / min, position)
+    : min + position * (max - min);
+  return Number(value.toFixed(digits));
+}
+
+function numberOr(value: unknown, fallback: number) {
+  return typeof value === "number" && Number.isFinite(value) ? value : fallback;
+}
+
+function Slider({
+  spec,
+  value,
+  onChange,
+}: {
+  spec: SliderSpec;
+  value: number;
+  onChange: (value: number) => void;
+}) {
+  return (
+    <Label display="flex" alignItems="center" gap="0.25rem" fontSize="0.75rem">
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.001}
+        value={toSlider(value, spec)}
+        onChange={(e) => onChange(fromSlider(Number(e.target.value), spec))}
+        style={{ width: "6rem" }}
+      />
+      <Span minWidth="6.5rem">
+        {spec.label} {value.toFixed(spec.digits)}
+      </Span>
+    </Label>
+  );
+}
+
+function EffectRow({
+  title,
+  enabled,
+  onToggle,
+  children,
+}: {
+  title: string;
+  enabled: boolean;
+  onToggle: (enabled: boolean) => void;
+  children: React.ReactNode;
+}) {
+  return (
+    <Div
+      display="flex"
+      alignItems="center"
+      flexWrap="wrap"
+      gap="0.5rem"
+      padding="0.25rem"
+      border="1px solid hsl(0,0%,80%)"
+    >
+      <Label display="flex" alignItems="center" gap="0.25rem" minWidth="6rem">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onToggle(e.currentTarget.checked)}
+        />
+        {title}
+      </Label>
+      {enabled && children}
+    </Div>
+  );
+}
+
+/**
+ * The part's stereo placement, then its effects chain in signal order.
+ * Switching an effect off keeps its settings in the preset, so switching it back on restores them.
+ */
+export default function EffectsEditor({
+  preset,
+  onChange,
+}: EffectsEditorProps) {
+  // HarmonicEditor already explains why script and unparseable presets can't be edited
+  if (!preset) return null;
+
+  const effects = preset.effects ?? {};
+  const isEnabled = (name: EffectName) =>
+    effects[name] !== undefined && effects[name].enabled !== false;
+
+  const setEffect = <Name extends EffectName>(
+    name: Name,
+    def: EffectsDef[Name]
+  ) => onChange({ ...preset, effects: { ...effects, [name]: def } });
+
+  const toggle = (name: EffectName, enabled: boolean) =>
+    setEffect(name, {
+      ...(effects[name] ?? EFFECT_DEFAULTS[name]),
+      enabled,
+    });
+
+  const stereo: Record<string, number> = {
+    ...STEREO_DEFAULTS,
+    ...preset.stereo,
+  };
+
+  const bands = effects.eq?.bands ?? [];
+  const setBands = (bands: EQBand[]) =>
+    setEffect("eq", { ...effects.eq, bands });
+
+  return (
+    <Div display="flex" flexDirection="column" gap="0.25rem">
+      <Div
+        display="flex"
+        alignItems="center"
+        flexWrap="wrap"
+        gap="0.5rem"
+        padding="0.25rem"
+        border="1px solid hsl(0,0%,80%)"
+      >
+        <Span minWidth="6rem">Stereo</Span>
+        {STEREO_SLIDERS.map((spec) => (
+          <Slider
+            key={spec.field}
+            spec={spec}
+            value={stereo[spec.field]}
+            onChange={(value) =>
+              onChange({
+                ...preset,
+                stereo: { ...preset.stereo, [spec.field]: value },
+              })
+            }
+          />
+        ))}
+      </Div>
+      <EffectRow
+        title="EQ"
+        enabled={isEnabled("eq")}
+        onToggle={(enabled) => toggle("eq", enabled)}
+      >
+        {bands.map((band, i) => (
+          <Div key={i} display="flex" alignItems="center" gap="0.25rem">
+            <select
+              value={band.type}
+              onChange={(e) =>
+                setBands(
+                  bands.with(i, {
+                    ...band,
+                    type: e.target.value as EQBandType,
+                  })
+                )
+              }
+            >
+              {BAND_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+            {BAND_SLIDERS.map((spec) => (
+              <Slider
+                key={spec.field}
+                spec={spec}
+                value={numberOr(
+                  band[spec.field as keyof EQBand],
+                  numberOr(DEFAULT_BAND[spec.field as keyof EQBand], 0)
+                )}
+                onChange={(value) =>
+                  setBands(bands.with(i, { ...band, [spec.field]: value }))
+                }
+              />
+            ))}
+            <Button
+              onClick={() => setBands(bands.filter((_, j) => j !== i))}
+              title="Remove band"
+            >
+              −
+            </Button>
+          </Div>
+        ))}
+        <Button onClick={() => setBands([...bands, { ...DEFAULT_BAND }])}>
+          + band
+        </Button>
+      </EffectRow>
+      {(Object.keys(EFFECT_SLIDERS) as (keyof typeof EFFECT_SLIDERS)[]).map(
+        (name) => {
+          const def: Record<string, unknown> = {
+            ...EFFECT_DEFAULTS[name],
+            ...effects[name],
+          };
+          return (
+            <EffectRow
+              key={name}
+              title={name[0].toUpperCase() + name.slice(1)}
+              enabled={isEnabled(name)}
+              onToggle={(enabled) => toggle(name, enabled)}
+            >
+              {name === "chorus" && (
+                <select
+                  value={String(def.mode)}
+                  onChange={(e) =>
+                    setEffect("chorus", {
+                      ...effects.chorus,
+                      mode: e.target.value as "chorus" | "vibrato",
+                    })
+                  }
+                >
+                  <option value="chorus">chorus</option>
+                  <option value="vibrato">vibrato</option>
+                </select>
+              )}
+              {EFFECT_SLIDERS[name].map((spec) => (
+                <Slider
+                  key={spec.field}
+                  spec={spec}
+                  value={numberOr(def[spec.field], spec.min)}
+                  onChange={(value) =>
+                    setEffect(name, { ...effects[name], [spec.field]: value })
+                  }
+                />
+              ))}
+              {name === "delay" && (
+                <Label display="flex" alignItems="center" gap="0.25rem">
+                  <input
+                    type="checkbox"
+                    checked={def.pingPong === true}
+                    onChange={(e) =>
+                      setEffect("delay", {
+                        ...effects.delay,
+                        pingPong: e.currentTarget.checked,
+                      })
+                    }
+                  />
+                  ping-pong
+                </Label>
+              )}
+            </EffectRow>
+          );
+        }
+      )}
+    </Div>
+  );
+}
@@ -0,0 +1,267 @@
+import { useEffect, useMemo, useState } from "react";
+import { Button, Div, Input, P, Span } from "style-props-html";
+import type { HarmonicParameters, NXOPreset } from "./nxoPreset";
+import { sampleEnvelopes, type EnvelopeCurves } from "./nxoWorker";
+
+export interface HarmonicEditorProps {
+  // null when the editing part's code is not a parseable declarative preset
+  preset: NXOPreset | null;
+  isScript: boolean;
+  onChange: (preset: NXOPreset) => void;
+  onConvertToJson: () => void;
+}
+
+const PREVIEW_WIDTH = 96;
+const PREVIEW_HEIGHT = 40;
+// how long the previewed note is held after its attack and decay have finished
+const PREVIEW_HOLD_TIME = 0.3;
+
+type SliderField = "amplitude" | "attack" | "decay" | "sustain" | "release";
+
+/**
+ * Slider ranges. Times use a square-law scale so short attacks stay easy to dial in.
+ */
+const SLIDERS: {
+  field: SliderField;
+  label: string;
+  max: number;
+  squared: boolean;
+}[] = [
+  { field: "amplitude", label: "amp", max: 1, squared: false },
+  { field: "attack", label: "A", max: 2, squared: true },
+  { field: "decay", label: "D", max: 4, squared: true },
+  { field: "sustain", label: "S", max: 1, squared: false },
+  { field: "release", label: "R", max: 4, squared: true },
+];
+
+const DEFAULT_HARMONIC: HarmonicParameters = {
+  amplitude: 0.5,
+  attack: 0.01,
+  decay: 0.1,
+  sustain: 0.5,
+  release: 0.2,
+};
+
+function toSlider(value: number, max: number, squared: boolean) {
+  const fraction = Math.min(Math.max(value / max, 0), 1);
+  return squared ? Math.sqrt(fraction) : fraction;
+}
+
+function fromSlider(position: number, max: number, squared: boolean) {
+  const value = (squared ? position * position : position) * max;
+  return Number(value.toFixed(squared ? 4 : 3));
+}
+
+function numberOr(value: unknown, fallback: number) {
+  return typeof value === "number" && Number.isFinite(value) ? value : fallback;
+}
+
+function EnvelopePreview({
+  curve,
+  scale,
+}: {
+  curve?: Float32Array;
+  scale: number;
+}) {
+  const points = curve
+    ? Array.from(curve, (v, i) => {
+        const x = (i / (curve.length - 1)) * PREVIEW_WIDTH;
+        const y = PREVIEW_HEIGHT - (v / scale) * PREVIEW_HEIGHT;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+      }).join(" ")
+    : "";
+  return (
+    <svg
+      width={PREVIEW_WIDTH}
+      height={PREVIEW_HEIGHT}
+      style={{ background: "hsl(0,0%,96%)", border: "1px solid hsl(0,0%,80%)" }}
+    >
+      <polyline
+        points={points}
+        fill="none"
+        stroke="hsl(100,70%,30%)"
+        strokeWidth={1.5}
+      />
+    </svg>
+  );
+}
+
+/**
+ * Drawbar-style editor for declarative presets: one column of sliders per harmonic
+ * with a preview of the envelope the synth will actually play.
+ */
+export default function HarmonicEditor({
+  preset,
+  isScript,
+  onChange,
+  onConvertToJson,
+}: HarmonicEditorProps) {
+  const harmonicKeys = useMemo(
+    () =>
+      preset
+        ? Object.keys(preset.harmonics).sort((a, b) => Number(a) - Number(b))
+        : [],
+    [preset]
+  );
+
+  const [envelopes, setEnvelopes] = useState<EnvelopeCurves | null>(null);
+  useEffect(() => {
+    if (!preset) return;
+    let cancelled = false;
+    const noteLength =
+      Math.max(
+        0,
+        ...Object.values(preset.harmonics).map(
+          (h) => numberOr(h.attack, 0) + numberOr(h.decay, 0)
+        )
+      ) + PREVIEW_HOLD_TIME;
+    // wait for slider drags to settle before asking the worker
+    const timer = setTimeout(() => {
+      sampleEnvelopes(preset, noteLength, PREVIEW_WIDTH).then((result) => {
+        if (!cancelled) setEnvelopes(result);
+      });
+    }, 100);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [preset]);
+
+  const previewScale = useMemo(() => {
+    let max = 0;
+    for (const curve of Object.values(envelopes?.curves ?? {})) {
+      for (const v of curve) max = Math.max(max, v);
+    }
+    return max || 1;
+  }, [envelopes]);
+
+  if (isScript) {
+    return (
+      <Div display="flex" alignItems="center" gap="0.5rem">
+        <P>
+          This part is a preset script. Convert it to JSON to edit it visually.
+        </P>
+        <Button onClick={onConvertToJson}>Convert to JSON</Button>
+      </Div>
+    );
+  }
+
+  if (!preset) {
+    return <P>Fix the JSON above to use the visual editor.</P>;
+  }
+
+  const setHarmonic = (key: string, params: HarmonicParameters) =>
+    onChange({ ...preset, harmonics: { ...preset.harmonics, [key]: params } });
+
+  const removeHarmonic = (key: string) => {
+    const harmonics = { ...preset.harmonics };
+    delete harmonics[key];
+    onChange({ ...preset, harmonics });
+  };
+
+  const renameHarmonic = (key: string, newKey: string) => {
+    const h = Number(newKey);
+    if (
+      !Number.isFinite(h) ||
+      h <= 0 ||
+      newKey === key ||
+      newKey in preset.harmonics
+    ) {
+      return;
+    }
+    const harmonics: Record<string, HarmonicParameters> = {};
+    for (const [k, params] of Object.entries(preset.harmonics)) {
+      harmonics[k === key ? String(h) : k] = params;
+    }
+    onChange({ ...preset, harmonics });
+  };
+
+  const addHarmonic = () => {
+    let next = 1;
+    while (String(next) in preset.harmonics) next++;
+    setHarmonic(String(next), { ...DEFAULT_HARMONIC });
+  };
+
+  return (
+    <Div display="flex" gap="0.5rem" overflowX="auto" paddingBottom="0.5rem">
+      {harmonicKeys.map((key) => {
+        const params = preset.harmonics[key];
+        return (
+          <Div
+            key={key}
+            display="flex"
+            flexDirection="column"
+            alignItems="center"
+            gap="0.25rem"
+            padding="0.25rem"
+            border="1px solid hsl(0,0%,80%)"
+          >
+            <Div display="flex" alignItems="center" gap="0.25rem">
+              ×
+              <Input
+                type="number"
+                min={0}
+                step={0.5}
+                width="3.5rem"
+                defaultValue={key}
+                onBlur={(e) => renameHarmonic(key, e.currentTarget.value)}
+              />
+              <Button
+                onClick={() => removeHarmonic(key)}
+                title="Remove harmonic"
+              >
+                −
+              </Button>
+            </Div>
+            <Div display="flex" gap="0.25rem">
+              {SLIDERS.map(({ field, label, max, squared }) => {
+                const value = numberOr(params[field], 0);
+                return (
+                  <Div
+                    key={field}
+                    display="flex"
+                    flexDirection="column"
+                    alignItems="center"
+                    fontSize="0.75rem"
+                  >
+                    <input
+                      type="range"
+                      min={0}
+                      max={1}
+                      step={0.001}
+                      value={toSlider(value, max, squared)}
+                      onChange={(e) =>
+                        setHarmonic(key, {
+                          ...params,
+                          [field]: fromSlider(
+                            Number(e.target.value),
+                            max,
+                            squared
+                          ),
+                        })
+                      }
+                      style={{
+                        writingMode: "vertical-lr",
+                        direction: "rtl",
+                        height: "6rem",
+                      }}
+                    />
+                    <Span>{label}</Span>
+                    <Span>{value.toFixed(squared ? 3 : 2)}</Span>
+                  </Div>
+                );
+              })}
+            </Div>
+            <EnvelopePreview
+              curve={envelopes?.curves[key]}
+              scale={previewScale}
+            />
+          </Div>
+        );
+      })}
+      <Button onClick={addHarmonic} alignSelf="center">
+        + harmonic
+      </Button>
+    </Div>
+  );
+}
@@ -0,0 +1,217 @@
+import { useState } from "react";
+import { Button, Div, Input, Label, Span } from "style-props-html";
+import { MAX_TRANSPOSE, MIN_TRANSPOSE } from "./pianoKeys";
+import { samePath, type PresetParameter } from "./presetParameters";
+
+export interface MidiInputSettings {
+  enabled: boolean;
+  // 0-based MIDI channel to listen to, or null for all of them
+  channel: number | null;
+  // semitones added to the device's keys
+  transpose: number;
+}
+
+export interface MidiInputInfo {
+  id: string;
+  name: string;
+  manufacturer: string;
+  state: "connected" | "disconnected";
+  connection: "open" | "closed" | "pending";
+  settings: MidiInputSettings;
+}
+
+/**
+ * A controller (CC) that sweeps a field of one part's preset.
+ */
+export interface MidiBinding {
+  // 0-based MIDI channel and controller number
+  channel: number;
+  cc: number;
+  part: number;
+  // field names into the preset, as in PresetParameter
+  path: string[];
+  label: string;
+}
+
+export interface MidiPanelProps {
+  // null when the browser has no Web MIDI
+  inputs: MidiInputInfo[] | null;
+  onInputChange: (id: string, settings: MidiInputSettings) => void;
+  editingPart: number;
+  // what the editing part's preset can be bound to; empty for script presets
+  parameters: PresetParameter[];
+  // path of the parameter waiting for a controller to move
+  learning: string[] | null;
+  onLearn: (path: string[] | null) => void;
+  bindings: MidiBinding[];
+  onRemoveBinding: (index: number) => void;
+}
+
+/**
+ * MIDI inputs with their connection state and what each one is allowed to play,
+ * and controller bindings learned by moving a knob while a parameter waits for one.
+ */
+export default function MidiPanel({
+  inputs,
+  onInputChange,
+  editingPart,
+  parameters,
+  learning,
+  onLearn,
+  bindings,
+  onRemoveBinding,
+}: MidiPanelProps) {
+  const [selectedPath, setSelectedPath] = useState<string[] | null>(null);
+  const selected =
+    (selectedPath && parameters.find((p) => samePath(p.path, selectedPath))) ||
+    parameters[0];
+
+  if (!inputs) {
+    return (
+      <Span fontSize="0.875rem" color="hsl(0,0%,35%)">
+        This browser has no Web MIDI support; play from the on-screen or
+        computer keyboard.
+      </Span>
+    );
+  }
+
+  return (
+    <Div display="flex" flexDirection="column" gap="0.25rem">
+      <Span fontWeight="bold">MIDI inputs</Span>
+      {inputs.length === 0 && (
+        <Span fontSize="0.875rem" color="hsl(0,0%,35%)">
+          No MIDI inputs found. Connect a device and it will show up here.
+        </Span>
+      )}
+      {inputs.map(({ id, name, manufacturer, state, connection, settings }) => (
+        <Div
+          key={id}
+          display="flex"
+          alignItems="center"
+          flexWrap="wrap"
+          gap="1rem"
+          color={state === "connected" ? undefined : "hsl(0,0%,55%)"}
+        >
+          <Label display="flex" alignItems="center" gap="0.5rem">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) =>
+                onInputChange(id, {
+                  ...settings,
+                  enabled: e.currentTarget.checked,
+                })
+              }
+            />
+            {name || "Unnamed input"}
+            {manufacturer && ` (${manufacturer})`}
+          </Label>
+          <Span fontSize="0.875rem" color="hsl(0,0%,35%)">
+            {state === "connected" ? connection : "disconnected"}
+          </Span>
+          <Label display="flex" alignItems="center" gap="0.5rem">
+            Channel
+            <select
+              value={settings.channel ?? ""}
+              onChange={(e) =>
+                onInputChange(id, {
+                  ...settings,
+                  channel:
+                    e.target.value === "" ? null : Number(e.target.value),
+                })
+              }
+            >
+              <option value="">all</option>
+              {Array.from({ length: 16 }, (_, channel) => (
+                <option key={channel} value={channel}>
+                  {channel + 1}
+                </option>
+              ))}
+            </select>
+          </Label>
+          <Label display="flex" alignItems="center" gap="0.5rem">
+            Transpose
+            <Input
+              type="number"
+              min={MIN_TRANSPOSE}
+              max={MAX_TRANSPOSE}
+              width="4rem"
+              value={settings.transpose}
+              onChange={(e) =>
+                onInputChange(id, {
+                  ...settings,
+                  transpose: Math.min(
+                    Math.max(
+                      Math.round(Number(e.currentTarget.value)),
+                      MIN_TRANSPOSE
+                    ),
+                    MAX_TRANSPOSE
+                  ),
+                })
+              }
+            />
+          </Label>
+        </Div>
+      ))}
+      <Div display="flex" alignItems="center" flexWrap="wrap" gap="0.5rem">
+        <Span fontWeight="bold">MIDI learn</Span>
+        {parameters.length === 0 ? (
+          <Span fontSize="0.875rem" color="hsl(0,0%,35%)">
+            Convert part {editingPart + 1} to a JSON preset to bind controllers
+            to its parameters.
+          </Span>
+        ) : learning ? (
+          <>
+            <Span fontSize="0.875rem">
+              Move a controller to bind it to{" "}
+              {parameters.find((p) => samePath(p.path, learning))?.label ??
+                learning.join(".")}
+              …
+            </Span>
+            <Button padding="0.25rem" onClick={() => onLearn(null)}>
+              Cancel
+            </Button>
+          </>
+        ) : (
+          <>
+            <select
+              value={parameters.indexOf(selected)}
+              onChange={(e) =>
+                setSelectedPath(parameters[Number(e.target.value)].path)
+              }
+            >
+              {parameters.map(({ label }, index) => (
+                <option key={label} value={index}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <Button padding="0.25rem" onClick={() => onLearn(selected.path)}>
+              Learn
+            </Button>
+          </>
+        )}
+      </Div>
+      {bindings.map(({ channel, cc, part, label }, index) => (
+        <Div
+          key={`${channel}-${cc}`}
+          display="flex"
+          alignItems="center"
+          gap="0.5rem"
+          fontSize="0.875rem"
+        >
+          <Span>
+            CC {cc} on channel {channel + 1} → part {part + 1} {label}
+          </Span>
+          <Button
+            padding="0 0.25rem"
+            title="Remove binding"
+            onClick={() => onRemoveBinding(index)}
+          >
+            −
+          </Button>
+        </Div>
+      ))}
+    </Div>
+  );
+}
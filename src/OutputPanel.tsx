@@ -0,0 +1,278 @@
+import { Div, Input, Label, Span } from "style-props-html";
+
+export type OutputSmoothing = "off" | "anti-pop";
+
+export type OutputMode = "clean" | "soft-clip" | "limiter";
+
+export interface CompressorSettings {
+  enabled: boolean;
+  // dBFS
+  threshold: number;
+  ratio: number;
+  // seconds
+  attack: number;
+  release: number;
+  // dB
+  makeup: number;
+}
+
+export interface OutputSettings {
+  // fraction of Nyquist where partials start fading out
+  bandLimit: number;
+  oversampling: number;
+  smoothing: OutputSmoothing;
+  // master volume in dB
+  volume: number;
+  compressor: CompressorSettings;
+  mode: OutputMode;
+}
+
+// Largest gain reductions (dB) and output peak (dBFS) since the synth last reported
+export interface OutputMeter {
+  compressorReduction: number;
+  limiterReduction: number;
+  peak: number;
+}
+
+export interface OutputPanelProps {
+  settings: OutputSettings;
+  meter: OutputMeter | null;
+  onChange: (settings: OutputSettings) => void;
+}
+
+// Matches OVERSAMPLING_FACTORS in the engine
+const OVERSAMPLING_FACTORS = [1, 2, 4, 8];
+
+// Matches MIN_MASTER_VOLUME and MAX_MASTER_VOLUME in the engine
+const MIN_MASTER_VOLUME = -60;
+const MAX_MASTER_VOLUME = 24;
+
+// Gain reduction at the right end of the meters, in dB
+const METER_RANGE = 24;
+
+const SMOOTHING_LABELS: Record<OutputSmoothing, string> = {
+  off: "off",
+  "anti-pop": "anti-pop filter (softens highs)",
+};
+
+const OUTPUT_MODE_LABELS: Record<OutputMode, string> = {
+  limiter: "look-ahead limiter",
+  "soft-clip": "soft clip",
+  clean: "clean (clips hard at full scale)",
+};
+
+const COMPRESSOR_FIELDS: {
+  field: Exclude<keyof CompressorSettings, "enabled">;
+  label: string;
+  min: number;
+  max: number;
+  step: number;
+}[] = [
+  { field: "threshold", label: "threshold (dB)", min: -60, max: 0, step: 1 },
+  { field: "ratio", label: "ratio", min: 1, max: 20, step: 0.5 },
+  { field: "attack", label: "attack (s)", min: 0.001, max: 0.5, step: 0.001 },
+  { field: "release", label: "release (s)", min: 0.01, max: 2, step: 0.01 },
+  { field: "makeup", label: "makeup (dB)", min: 0, max: 24, step: 0.5 },
+];
+
+function ReductionMeter({ label, value }: { label: string; value: number }) {
+  return (
+    <Div display="flex" alignItems="center" gap="0.25rem" fontSize="0.875rem">
+      {label}
+      <Div
+        width="6rem"
+        height="0.5rem"
+        backgroundColor="hsl(0,0%,90%)"
+        position="relative"
+      >
+        <Div
+          position="absolute"
+          left="0"
+          top="0"
+          bottom="0"
+          width={`${Math.min(value / METER_RANGE, 1) * 100}%`}
+          backgroundColor="hsl(30,80%,50%)"
+        />
+      </Div>
+      <Span minWidth="3.5rem">−{value.toFixed(1)} dB</Span>
+    </Div>
+  );
+}
+
+/**
+ * How the synth keeps partials from aliasing, and the master bus: smoothing, volume,
+ * compressor and what keeps the output within full scale, with gain reduction meters.
+ */
+export default function OutputPanel({
+  settings,
+  meter,
+  onChange,
+}: OutputPanelProps) {
+  const { compressor } = settings;
+  return (
+    <Div display="flex" flexDirection="column" gap="0.25rem">
+      <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          Fade partials from
+          <Input
+            type="number"
+            min={50}
+            max={100}
+            step={1}
+            width="4rem"
+            value={Math.round(settings.bandLimit * 100)}
+            onChange={(e) =>
+              onChange({
+                ...settings,
+                bandLimit:
+                  Math.min(Math.max(Number(e.currentTarget.value), 50), 100) /
+                  100,
+              })
+            }
+          />
+          % of Nyquist
+        </Label>
+        <Label
+          display="flex"
+          alignItems="center"
+          gap="0.5rem"
+          title="Changing this stops sounding notes"
+        >
+          Oversampling
+          <select
+            value={settings.oversampling}
+            onChange={(e) =>
+              onChange({ ...settings, oversampling: Number(e.target.value) })
+            }
+          >
+            {OVERSAMPLING_FACTORS.map((factor) => (
+              <option key={factor} value={factor}>
+                {factor === 1 ? "off" : `${factor}×`}
+              </option>
+            ))}
+          </select>
+        </Label>
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          Smoothing
+          <select
+            value={settings.smoothing}
+            onChange={(e) =>
+              onChange({
+                ...settings,
+                smoothing: e.target.value as OutputSmoothing,
+              })
+            }
+          >
+            {Object.entries(SMOOTHING_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </Label>
+      </Div>
+      <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          Master volume
+          <input
+            type="range"
+            min={MIN_MASTER_VOLUME}
+            max={MAX_MASTER_VOLUME}
+            step={0.5}
+            value={settings.volume}
+            onChange={(e) =>
+              onChange({ ...settings, volume: Number(e.target.value) })
+            }
+          />
+          <Span minWidth="4rem">
+            {settings.volume > 0 ? "+" : ""}
+            {settings.volume.toFixed(1)} dB
+          </Span>
+        </Label>
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          Output
+          <select
+            value={settings.mode}
+            onChange={(e) =>
+              onChange({ ...settings, mode: e.target.value as OutputMode })
+            }
+          >
+            {Object.entries(OUTPUT_MODE_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </Label>
+        {meter && (
+          <Span fontSize="0.875rem" color="hsl(0,0%,35%)">
+            peak{" "}
+            {Number.isFinite(meter.peak)
+              ? `${meter.peak.toFixed(1)} dBFS`
+              : "—"}
+          </Span>
+        )}
+      </Div>
+      <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          <input
+            type="checkbox"
+            checked={compressor.enabled}
+            onChange={(e) =>
+              onChange({
+                ...settings,
+                compressor: { ...compressor, enabled: e.currentTarget.checked },
+              })
+            }
+          />
+          Compressor
+        </Label>
+        {compressor.enabled &&
+          COMPRESSOR_FIELDS.map(({ field, label, min, max, step }) => (
+            <Label
+              key={field}
+              display="flex"
+              alignItems="center"
+              gap="0.25rem"
+              fontSize="0.875rem"
+            >
+              {label}
+              <Input
+                type="number"
+                min={min}
+                max={max}
+                step={step}
+                width="4.5rem"
+                value={compressor[field]}
+                onChange={(e) =>
+                  onChange({
+                    ...settings,
+                    compressor: {
+                      ...compressor,
+                      [field]: Math.min(
+                        Math.max(Number(e.currentTarget.value), min),
+                        max
+                      ),
+                    },
+                  })
+                }
+              />
+            </Label>
+          ))}
+      </Div>
+      {meter && (compressor.enabled || settings.mode === "limiter") && (
+        <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+          {compressor.enabled && (
+            <ReductionMeter
+              label="Compressor"
+              value={meter.compressorReduction}
+            />
+          )}
+          {settings.mode === "limiter" && (
+            <ReductionMeter label="Limiter" value={meter.limiterReduction} />
+          )}
+        </Div>
+      )}
+    </Div>
+  );
+}
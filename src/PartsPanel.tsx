@@ -0,0 +1,132 @@
+import { Button, Div, Input, Label, Span } from "style-props-html";
+import type { PresetFormat } from "./nxoPreset";
+
+export type RoutingMode = "channel" | "zones";
+
+export interface PartSlot {
+  preset: string;
+  code: string;
+  format: PresetFormat;
+  // inclusive MIDI note range played by this part in "zones" routing
+  low: number;
+  high: number;
+}
+
+export interface PartsPanelProps {
+  parts: PartSlot[];
+  routingMode: RoutingMode;
+  editingPart: number;
+  onRoutingModeChange: (mode: RoutingMode) => void;
+  onEditingPartChange: (part: number) => void;
+  onPartRangeChange: (part: number, low: number, high: number) => void;
+  onAddPart: () => void;
+  onRemovePart: () => void;
+}
+
+// One part per MIDI channel at most
+export const MAX_PARTS = 16;
+
+function clampNote(value: number) {
+  return Math.min(Math.max(Math.round(value), 0), 127);
+}
+
+/**
+ * Lists the loaded parts and how notes reach them: one part per MIDI channel,
+ * or keyboard zones that split or (when they overlap) layer the parts.
+ */
+export default function PartsPanel({
+  parts,
+  routingMode,
+  editingPart,
+  onRoutingModeChange,
+  onEditingPartChange,
+  onPartRangeChange,
+  onAddPart,
+  onRemovePart,
+}: PartsPanelProps) {
+  return (
+    <Div display="flex" flexDirection="column" gap="0.25rem">
+      <Label display="flex" alignItems="center" gap="0.5rem">
+        Routing
+        <select
+          value={routingMode}
+          onChange={(e) => onRoutingModeChange(e.target.value as RoutingMode)}
+        >
+          <option value="channel">one part per MIDI channel</option>
+          <option value="zones">keyboard zones (split / layer)</option>
+        </select>
+      </Label>
+      {parts.map((part, index) => (
+        <Div
+          key={index}
+          display="flex"
+          alignItems="center"
+          gap="0.5rem"
+          padding="0.25rem"
+          backgroundColor={
+            index === editingPart ? "hsl(100,60%,90%)" : "transparent"
+          }
+        >
+          <Label display="flex" alignItems="center" gap="0.25rem">
+            <input
+              type="radio"
+              name="editing-part"
+              checked={index === editingPart}
+              onChange={() => onEditingPartChange(index)}
+            />
+            Part {index + 1}
+          </Label>
+          {routingMode === "channel" ? (
+            <Span>channel {index + 1}</Span>
+          ) : (
+            <>
+              <Label display="flex" alignItems="center" gap="0.25rem">
+                low
+                <Input
+                  type="number"
+                  min={0}
+                  max={127}
+                  width="4rem"
+                  value={part.low}
+                  onChange={(e) =>
+                    onPartRangeChange(
+                      index,
+                      clampNote(Number(e.currentTarget.value)),
+                      part.high
+                    )
+                  }
+                />
+              </Label>
+              <Label display="flex" alignItems="center" gap="0.25rem">
+                high
+                <Input
+                  type="number"
+                  min={0}
+                  max={127}
+                  width="4rem"
+                  value={part.high}
+                  onChange={(e) =>
+                    onPartRangeChange(
+                      index,
+                      part.low,
+                      clampNote(Number(e.currentTarget.value))
+                    )
+                  }
+                />
+              </Label>
+            </>
+          )}
+          <Span fontStyle="italic">{part.preset || "custom"}</Span>
+        </Div>
+      ))}
+      <Div display="flex" gap="0.5rem">
+        <Button onClick={onAddPart} disabled={parts.length >= MAX_PARTS}>
+          Add part
+        </Button>
+        <Button onClick={onRemovePart} disabled={parts.length <= 1}>
+          Remove last part
+        </Button>
+      </Div>
+    </Div>
+  );
+}
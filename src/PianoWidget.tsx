@@ -0,0 +1,663 @@
+import {
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+import { Button, Div, Input, Label, Span } from "style-props-html";
+import {
+  HIGHEST_KEY,
+  keyPosition,
+  LOWEST_KEY,
+  MAX_TRANSPOSE,
+  MIDDLE_C,
+  MIN_TRANSPOSE,
+  noteName,
+  noteToKey,
+  PIANO_KEYS,
+  WHITE_KEY_COUNT,
+  type KeyMapping,
+  type PianoKey,
+} from "./pianoKeys";
+
+export type QwertyLayoutName = "piano" | "tracker";
+
+export interface QwertySettings {
+  enabled: boolean;
+  layout: QwertyLayoutName;
+  // octave of the layout's lowest C, in MIDI octave numbering (middle C is C4)
+  octave: number;
+}
+
+interface QwertyLayout {
+  label: string;
+  // KeyboardEvent.code → semitones above the layout's lowest C
+  notes: Record<string, number>;
+  octaveDown: string;
+  octaveUp: string;
+  // how the octave keys are labelled on a US keyboard
+  octaveKeys: string;
+}
+
+// Keys are matched by physical position (`KeyboardEvent.code`), so AZERTY and QWERTZ
+// keyboards get the same shape as QWERTY
+const QWERTY_LAYOUTS: Record<QwertyLayoutName, QwertyLayout> = {
+  piano: {
+    label: "one row (A S D … with W E T … as black keys)",
+    notes: {
+      KeyA: 0,
+      KeyW: 1,
+      KeyS: 2,
+      KeyE: 3,
+      KeyD: 4,
+      KeyF: 5,
+      KeyT: 6,
+      KeyG: 7,
+      KeyY: 8,
+      KeyH: 9,
+      KeyU: 10,
+      KeyJ: 11,
+      KeyK: 12,
+      KeyO: 13,
+      KeyL: 14,
+      KeyP: 15,
+      Semicolon: 16,
+      Quote: 17,
+    },
+    octaveDown: "KeyZ",
+    octaveUp: "KeyX",
+    octaveKeys: "Z / X",
+  },
+  tracker: {
+    label: "two rows (Z X C … and Q W E …, tracker style)",
+    notes: {
+      KeyZ: 0,
+      KeyS: 1,
+      KeyX: 2,
+      KeyD: 3,
+      KeyC: 4,
+      KeyV: 5,
+      KeyG: 6,
+      KeyB: 7,
+      KeyH: 8,
+      KeyN: 9,
+      KeyJ: 10,
+      KeyM: 11,
+      Comma: 12,
+      KeyL: 13,
+      Period: 14,
+      Semicolon: 15,
+      Slash: 16,
+      KeyQ: 12,
+      Digit2: 13,
+      KeyW: 14,
+      Digit3: 15,
+      KeyE: 16,
+      KeyR: 17,
+      Digit5: 18,
+      KeyT: 19,
+      Digit6: 20,
+      KeyY: 21,
+      Digit7: 22,
+      KeyU: 23,
+      KeyI: 24,
+      Digit9: 25,
+      KeyO: 26,
+      Digit0: 27,
+      KeyP: 28,
+      BracketLeft: 29,
+    },
+    octaveDown: "Minus",
+    octaveUp: "Equal",
+    octaveKeys: "- / =",
+  },
+};
+
+const MIN_QWERTY_OCTAVE = 0;
+const MAX_QWERTY_OCTAVE = 8;
+// Computer keys have no velocity
+const QWERTY_VELOCITY = 100;
+
+// Focused inputs that don't take text, so typing notes after clicking one still plays
+const NON_TEXT_INPUT_TYPES = new Set([
+  "button",
+  "checkbox",
+  "color",
+  "file",
+  "radio",
+  "range",
+  "reset",
+  "submit",
+]);
+
+/**
+ * Whether key presses aimed at `target` are typing (Monaco, text fields, selects) rather than playing.
+ */
+function acceptsTyping(target: EventTarget | null): boolean {
+  if (!(target instanceof HTMLElement)) return false;
+  if (target.isContentEditable || target.closest(".monaco-editor")) return true;
+  if (target instanceof HTMLInputElement) {
+    return !NON_TEXT_INPUT_TYPES.has(target.type);
+  }
+  return (
+    target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement
+  );
+}
+
+/**
+ * MIDI velocity for a press at `depth` (0 at the back of the key, 1 at the front edge):
+ * near the front plays loudest.
+ */
+function velocityFromDepth(depth: number): number {
+  return Math.round(1 + 126 * Math.min(Math.max(depth, 0), 1));
+}
+
+export type PianoRange = "2-octaves" | "4-octaves" | "5-octaves" | "88-keys";
+
+export type KeyLabels = "off" | "octaves" | "notes";
+
+export interface PianoView {
+  range: PianoRange;
+  labels: KeyLabels;
+}
+
+// Keys shown across the widget's width, in white keys; the rest scroll
+const RANGE_WHITE_KEYS: Record<PianoRange, number> = {
+  "2-octaves": 15,
+  "4-octaves": 29,
+  "5-octaves": 36,
+  "88-keys": WHITE_KEY_COUNT,
+};
+
+const RANGE_LABELS: Record<PianoRange, string> = {
+  "2-octaves": "2 octaves",
+  "4-octaves": "4 octaves",
+  "5-octaves": "5 octaves",
+  "88-keys": "all 88 keys",
+};
+
+const KEY_LABEL_OPTIONS: Record<KeyLabels, string> = {
+  off: "no labels",
+  octaves: "octaves (C only)",
+  notes: "all white keys",
+};
+
+// Black keys as a fraction of white key width and height
+const BLACK_KEY_WIDTH = 0.6;
+const BLACK_KEY_HEIGHT = 0.8;
+
+const WHITE_KEYS = PIANO_KEYS.filter((k) => !k.black);
+const BLACK_KEYS = PIANO_KEYS.filter((k) => k.black);
+
+// Left edge of a key's area, as a percentage of the whole keyboard
+function keyLeft({ black, position }: PianoKey) {
+  return `${((black ? position - BLACK_KEY_WIDTH / 2 : position) / WHITE_KEY_COUNT) * 100}%`;
+}
+
+/**
+ * The key under a point given as fractions of the keyboard's width and height, and the
+ * velocity pressing it there gives; black keys win where they overlap white ones.
+ */
+function keyAt(x: number, y: number) {
+  if (x < 0 || x >= 1 || y < 0 || y >= 1) return null;
+  const position = x * WHITE_KEY_COUNT;
+  if (y < BLACK_KEY_HEIGHT) {
+    const black = BLACK_KEYS.find(
+      (k) => Math.abs(position - k.position) < BLACK_KEY_WIDTH / 2
+    );
+    if (black) {
+      return {
+        key: black.key,
+        velocity: velocityFromDepth(y / BLACK_KEY_HEIGHT),
+      };
+    }
+  }
+  const white = WHITE_KEYS[Math.floor(position)];
+  return white ? { key: white.key, velocity: velocityFromDepth(y) } : null;
+}
+
+function holds(sources: Map<string, number>, key: number): boolean {
+  for (const held of sources.values()) {
+    if (held === key) return true;
+  }
+  return false;
+}
+
+export interface SplitPoint {
+  // lowest note of the zone that starts here
+  note: number;
+  label: string;
+}
+
+export interface PianoWidgetProps {
+  view: PianoView;
+  mapping: KeyMapping;
+  // keys held on MIDI input, highlighted alongside the widget's own
+  activeKeys: Set<number>;
+  // where keyboard zones start, in sounding notes
+  splitPoints: SplitPoint[];
+  onKeyPress: (key: number, velocity: number) => void;
+  onKeyRelease: (key: number) => void;
+  qwerty: QwertySettings;
+  onQwertyChange: (settings: QwertySettings) => void;
+}
+
+/**
+ * On-screen piano, scrolled to show the chosen range. Every pointer (mouse button, pen,
+ * finger) holds its own key, so touch chords work and dragging across the keys plays a
+ * glissando; the computer keyboard plays too, except while something that takes text has focus.
+ * Keys are reported as MIDI note numbers before transposing.
+ */
+export default function PianoWidget({
+  view,
+  mapping,
+  activeKeys,
+  splitPoints,
+  onKeyPress,
+  onKeyRelease,
+  qwerty,
+  onQwertyChange,
+}: PianoWidgetProps) {
+  const viewportRef = useRef<HTMLDivElement>(null);
+  // fraction of the keyboard at the middle of the view, kept across zooming
+  const scrollCenterRef = useRef(
+    (keyPosition(MIDDLE_C) ?? 0) / WHITE_KEY_COUNT
+  );
+  const zoom = WHITE_KEY_COUNT / RANGE_WHITE_KEYS[view.range];
+
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+    viewport.scrollLeft =
+      scrollCenterRef.current * viewport.scrollWidth - viewport.clientWidth / 2;
+  }, [zoom]);
+
+  const onScroll = () => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+    scrollCenterRef.current =
+      (viewport.scrollLeft + viewport.clientWidth / 2) / viewport.scrollWidth;
+  };
+
+  const scrollByOctave = (direction: number) => {
+    const viewport = viewportRef.current;
+    viewport?.scrollBy({
+      left: (direction * 7 * viewport.scrollWidth) / WHITE_KEY_COUNT,
+      behavior: "smooth",
+    });
+  };
+
+  // What each input source (`pointer:<id>` or `key:<code>`) is holding. A key sounds
+  // while any source holds it, so a finger and a computer key on the same note don't cut each other off.
+  const sourcesRef = useRef<Map<string, number>>(new Map());
+  // pointers that are down, whether or not they are over a key right now
+  const pressedPointersRef = useRef<Set<number>>(new Set());
+  const [heldKeys, setHeldKeys] = useState<Set<number>>(new Set());
+
+  const release = useCallback(
+    (source: string) => {
+      const sources = sourcesRef.current;
+      const key = sources.get(source);
+      if (key === undefined) return;
+      sources.delete(source);
+      if (!holds(sources, key)) onKeyRelease(key);
+      setHeldKeys(new Set(sources.values()));
+    },
+    [onKeyRelease]
+  );
+
+  const press = useCallback(
+    (source: string, key: number, velocity: number) => {
+      const sources = sourcesRef.current;
+      if (sources.get(source) === key) return;
+      release(source);
+      const alreadySounding = holds(sources, key);
+      sources.set(source, key);
+      if (!alreadySounding) onKeyPress(key, velocity);
+      setHeldKeys(new Set(sources.values()));
+    },
+    [onKeyPress, release]
+  );
+
+  const releaseAll = useCallback(
+    (prefix: string) => {
+      for (const source of [...sourcesRef.current.keys()]) {
+        if (source.startsWith(prefix)) release(source);
+      }
+    },
+    [release]
+  );
+
+  // nothing stays held once the piano is gone
+  const releaseAllRef = useRef(releaseAll);
+  releaseAllRef.current = releaseAll;
+  useEffect(() => () => releaseAllRef.current(""), []);
+
+  const pointerToKey = (event: React.PointerEvent<HTMLElement>) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    return keyAt(
+      (event.clientX - rect.left) / rect.width,
+      (event.clientY - rect.top) / rect.height
+    );
+  };
+
+  const onPointerDown = (event: React.PointerEvent<HTMLElement>) => {
+    if (event.pointerType === "mouse" && event.button !== 0) return;
+    event.preventDefault();
+    // keep receiving this pointer's moves after it slides off the piano
+    event.currentTarget.setPointerCapture(event.pointerId);
+    pressedPointersRef.current.add(event.pointerId);
+    const hit = pointerToKey(event);
+    if (hit) press(`pointer:${event.pointerId}`, hit.key, hit.velocity);
+  };
+
+  const onPointerMove = (event: React.PointerEvent<HTMLElement>) => {
+    if (!pressedPointersRef.current.has(event.pointerId)) return;
+    const hit = pointerToKey(event);
+    if (hit) press(`pointer:${event.pointerId}`, hit.key, hit.velocity);
+    else release(`pointer:${event.pointerId}`);
+  };
+
+  const onPointerEnd = (event: React.PointerEvent<HTMLElement>) => {
+    pressedPointersRef.current.delete(event.pointerId);
+    release(`pointer:${event.pointerId}`);
+  };
+
+  useEffect(() => {
+    const layout = QWERTY_LAYOUTS[qwerty.layout];
+
+    const onKeyDown = (event: KeyboardEvent) => {
+      if (!qwerty.enabled || acceptsTyping(event.target)) return;
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.code === layout.octaveDown || event.code === layout.octaveUp) {
+        event.preventDefault();
+        if (event.repeat) return;
+        const step = event.code === layout.octaveUp ? 1 : -1;
+        onQwertyChange({
+          ...qwerty,
+          octave: Math.min(
+            Math.max(qwerty.octave + step, MIN_QWERTY_OCTAVE),
+            MAX_QWERTY_OCTAVE
+          ),
+        });
+        return;
+      }
+      const semitones = layout.notes[event.code];
+      if (semitones === undefined) return;
+      event.preventDefault();
+      if (event.repeat) return;
+      const key = 12 * (qwerty.octave + 1) + semitones;
+      if (key < LOWEST_KEY || key > HIGHEST_KEY) return;
+      press(`key:${event.code}`, key, QWERTY_VELOCITY);
+    };
+
+    // always honored, so switching focus or settings mid-note can't leave it stuck
+    const onKeyUp = (event: KeyboardEvent) => release(`key:${event.code}`);
+    // key-ups that happen while the window is in the background never arrive
+    const onBlur = () => releaseAll("key:");
+
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, [qwerty, onQwertyChange, press, release, releaseAll]);
+
+  const label = (key: number) =>
+    view.labels === "notes" || (view.labels === "octaves" && key % 12 === 0)
+      ? noteName(key)
+      : null;
+
+  // markers sit on the keys that play these notes
+  const markers = [
+    ...splitPoints.map(({ note, label }) => ({
+      key: noteToKey(note, mapping),
+      title: label,
+      color: "hsl(0,80%,50%)",
+    })),
+    ...(mapping.transpose !== 0
+      ? [
+          {
+            key: noteToKey(MIDDLE_C, mapping),
+            title: `plays ${noteName(MIDDLE_C)}`,
+            color: "hsl(220,80%,50%)",
+          },
+        ]
+      : []),
+  ].flatMap((marker) => {
+    const position = keyPosition(marker.key);
+    if (position === null) return [];
+    return [{ ...marker, left: (position / WHITE_KEY_COUNT) * 100 }];
+  });
+
+  return (
+    <Div display="flex" alignItems="stretch" width="100%" gap="0.25rem">
+      <Button padding="0 0.25rem" onClick={() => scrollByOctave(-1)}>
+        ◀
+      </Button>
+      <Div
+        ref={viewportRef}
+        flex="1"
+        overflowX="auto"
+        overflowY="hidden"
+        onScroll={onScroll}
+      >
+        <Div
+          position="relative"
+          width={`${zoom * 100}%`}
+          height="5rem"
+          userSelect="none"
+          // the piano handles its own touches instead of the page scrolling or zooming
+          style={{ touchAction: "none" }}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerEnd}
+          onPointerCancel={onPointerEnd}
+          onLostPointerCapture={onPointerEnd}
+        >
+          {WHITE_KEYS.map((pianoKey) => {
+            const { key } = pianoKey;
+            const active = heldKeys.has(key) || activeKeys.has(key);
+            return (
+              <Span
+                key={`w-${key}`}
+                position="absolute"
+                left={keyLeft(pianoKey)}
+                top="0"
+                width={`${100 / WHITE_KEY_COUNT}%`}
+                height="100%"
+                outline="1px solid black"
+                backgroundColor={active ? "hsl(100,100%,50%)" : "white"}
+                transition="background-color 0.100s ease-in-out"
+                display="flex"
+                alignItems="flex-end"
+                justifyContent="center"
+                fontSize="0.625rem"
+                color="hsl(0,0%,35%)"
+                overflow="hidden"
+              >
+                {label(key)}
+              </Span>
+            );
+          })}
+          {BLACK_KEYS.map((pianoKey) => {
+            const { key } = pianoKey;
+            const active = heldKeys.has(key) || activeKeys.has(key);
+            return (
+              <Span
+                key={`b-${key}`}
+                position="absolute"
+                left={keyLeft(pianoKey)}
+                top="0"
+                width={`${(BLACK_KEY_WIDTH * 100) / WHITE_KEY_COUNT}%`}
+                height={`${BLACK_KEY_HEIGHT * 100}%`}
+                backgroundColor={active ? "hsl(100,100%,40%)" : "black"}
+                transition="backgroundColor 0.100s ease-in-out"
+              ></Span>
+            );
+          })}
+          {markers.map(({ title, color, left }) => (
+            <Span
+              key={`m-${title}`}
+              position="absolute"
+              left={`${left}%`}
+              top="0"
+              width="3px"
+              height="100%"
+              backgroundColor={color}
+              pointerEvents="none"
+              title={title}
+            ></Span>
+          ))}
+        </Div>
+      </Div>
+      <Button padding="0 0.25rem" onClick={() => scrollByOctave(1)}>
+        ▶
+      </Button>
+    </Div>
+  );
+}
+
+/**
+ * How much of the piano is shown, its key labels, and the transposition every input goes through.
+ */
+export function PianoViewControls({
+  view,
+  mapping,
+  onViewChange,
+  onMappingChange,
+}: {
+  view: PianoView;
+  mapping: KeyMapping;
+  onViewChange: (view: PianoView) => void;
+  onMappingChange: (mapping: KeyMapping) => void;
+}) {
+  return (
+    <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+      <Label display="flex" alignItems="center" gap="0.5rem">
+        Show
+        <select
+          value={view.range}
+          onChange={(e) =>
+            onViewChange({ ...view, range: e.target.value as PianoRange })
+          }
+        >
+          {Object.entries(RANGE_LABELS).map(([range, label]) => (
+            <option key={range} value={range}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </Label>
+      <Label display="flex" alignItems="center" gap="0.5rem">
+        Labels
+        <select
+          value={view.labels}
+          onChange={(e) =>
+            onViewChange({ ...view, labels: e.target.value as KeyLabels })
+          }
+        >
+          {Object.entries(KEY_LABEL_OPTIONS).map(([labels, label]) => (
+            <option key={labels} value={labels}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </Label>
+      <Label display="flex" alignItems="center" gap="0.5rem">
+        Transpose (semitones)
+        <Input
+          type="number"
+          min={MIN_TRANSPOSE}
+          max={MAX_TRANSPOSE}
+          width="4rem"
+          value={mapping.transpose}
+          onChange={(e) =>
+            onMappingChange({
+              transpose: Math.min(
+                Math.max(
+                  Math.round(Number(e.currentTarget.value)),
+                  MIN_TRANSPOSE
+                ),
+                MAX_TRANSPOSE
+              ),
+            })
+          }
+        />
+      </Label>
+    </Div>
+  );
+}
+
+/**
+ * Whether the computer keyboard plays the piano, its layout and octave.
+ */
+export function QwertyControls({
+  settings,
+  onChange,
+}: {
+  settings: QwertySettings;
+  onChange: (settings: QwertySettings) => void;
+}) {
+  const layout = QWERTY_LAYOUTS[settings.layout];
+  const shiftOctave = (step: number) =>
+    onChange({
+      ...settings,
+      octave: Math.min(
+        Math.max(settings.octave + step, MIN_QWERTY_OCTAVE),
+        MAX_QWERTY_OCTAVE
+      ),
+    });
+
+  return (
+    <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+      <Label display="flex" alignItems="center" gap="0.5rem">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) =>
+            onChange({ ...settings, enabled: e.currentTarget.checked })
+          }
+        />
+        Play from computer keyboard
+      </Label>
+      {settings.enabled && (
+        <>
+          <select
+            value={settings.layout}
+            onChange={(e) =>
+              onChange({
+                ...settings,
+                layout: e.target.value as QwertyLayoutName,
+              })
+            }
+          >
+            {Object.entries(QWERTY_LAYOUTS).map(([name, { label }]) => (
+              <option key={name} value={name}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <Div display="flex" alignItems="center" gap="0.25rem">
+            <Button padding="0 0.5rem" onClick={() => shiftOctave(-1)}>
+              −
+            </Button>
+            <Span minWidth="6rem" textAlign="center">
+              lowest key C{settings.octave}
+            </Span>
+            <Button padding="0 0.5rem" onClick={() => shiftOctave(1)}>
+              +
+            </Button>
+          </Div>
+          <Span fontSize="0.875rem" color="hsl(0,0%,35%)">
+            octave keys {layout.octaveKeys}
+          </Span>
+        </>
+      )}
+    </Div>
+  );
+}
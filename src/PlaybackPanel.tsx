@@ -0,0 +1,258 @@
+import { useState } from "react";
+import { Button, Div, Input, Label, Span } from "style-props-html";
+import type { Playback } from "./hooks/usePlayback";
+import { parseMidiFile, type MidiSequence, type TimedEvent } from "./midiFile";
+import { isBlackKey, noteName } from "./pianoKeys";
+
+export interface PlaybackPanelProps {
+  playback: Playback;
+  // channel the step pattern plays on
+  channel: number;
+}
+
+type PlaybackSource = "file" | "pattern";
+
+// The step pattern is a bar of sixteenth notes over two octaves
+const STEPS = 16;
+const STEPS_PER_BEAT = 4;
+const PATTERN_ROWS = 24;
+const PATTERN_TEMPO = 120;
+const STEP_LENGTH = 60 / PATTERN_TEMPO / STEPS_PER_BEAT;
+// fraction of a step each note holds, so repeated notes retrigger audibly
+const GATE = 0.9;
+const PATTERN_VELOCITY = 100;
+
+const MIN_TEMPO = 20;
+const MAX_TEMPO = 300;
+
+// Lowest row of the pattern grid: C1 to C6
+const PATTERN_BASES = [24, 36, 48, 60, 72, 84];
+
+function cellId(note: number, step: number) {
+  return `${note}:${step}`;
+}
+
+function patternToSequence(cells: Set<string>, channel: number): MidiSequence {
+  const events: TimedEvent[] = [];
+  for (const cell of cells) {
+    const [note, step] = cell.split(":").map(Number);
+    events.push(
+      {
+        type: "noteOn",
+        channel,
+        note,
+        velocity: PATTERN_VELOCITY,
+        time: step * STEP_LENGTH,
+      },
+      { type: "noteOff", channel, note, time: (step + GATE) * STEP_LENGTH }
+    );
+  }
+  events.sort((a, b) => a.time - b.time);
+  return { events, duration: STEPS * STEP_LENGTH, tempo: PATTERN_TEMPO };
+}
+
+function formatDuration(seconds: number) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, "0")}`;
+}
+
+/**
+ * Transport for auditioning presets: plays a loaded MIDI file or a one-bar step pattern
+ * into the synth, optionally looped, at an adjustable tempo.
+ */
+export default function PlaybackPanel({
+  playback,
+  channel,
+}: PlaybackPanelProps) {
+  const [source, setSource] = useState<PlaybackSource>("pattern");
+  const [file, setFile] = useState<{
+    name: string;
+    sequence: MidiSequence;
+  } | null>(null);
+  const [fileError, setFileError] = useState<string | null>(null);
+  const [cells, setCells] = useState<Set<string>>(new Set());
+  const [patternBase, setPatternBase] = useState<number>(48);
+  const [tempo, setTempo] = useState<number>(PATTERN_TEMPO);
+  const [loop, setLoop] = useState<boolean>(true);
+  // what is playing, so pattern edits only reach the transport when it's the pattern
+  const [playingSource, setPlayingSource] = useState<PlaybackSource | null>(
+    null
+  );
+
+  const sequence =
+    source === "file"
+      ? (file?.sequence ?? null)
+      : patternToSequence(cells, channel);
+
+  const toggleCell = (note: number, step: number) => {
+    const next = new Set(cells);
+    const id = cellId(note, step);
+    if (!next.delete(id)) next.add(id);
+    setCells(next);
+    if (playback.playing && playingSource === "pattern") {
+      playback.replace(patternToSequence(next, channel));
+    }
+  };
+
+  const loadFile = async (selected: File) => {
+    const result = parseMidiFile(await selected.arrayBuffer());
+    if (!result.ok) {
+      setFileError(`${selected.name}: ${result.error}`);
+      return;
+    }
+    setFileError(null);
+    setFile({ name: selected.name, sequence: result.sequence });
+    setTempo(Math.round(result.sequence.tempo));
+    setSource("file");
+  };
+
+  return (
+    <Div display="flex" flexDirection="column" gap="0.25rem">
+      <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          Play
+          <select
+            value={source}
+            onChange={(e) => setSource(e.target.value as PlaybackSource)}
+          >
+            <option value="pattern">step pattern</option>
+            <option value="file">MIDI file</option>
+          </select>
+        </Label>
+        <Button
+          padding="0.25rem"
+          disabled={!playback.playing && !sequence}
+          onClick={() => {
+            if (playback.playing) {
+              playback.stop();
+            } else if (sequence) {
+              playback.play(sequence, { loop, tempo });
+              setPlayingSource(source);
+            }
+          }}
+        >
+          {playback.playing ? "■ Stop" : "▶ Play"}
+        </Button>
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          <input
+            type="checkbox"
+            checked={loop}
+            onChange={(e) => {
+              setLoop(e.currentTarget.checked);
+              playback.setLoop(e.currentTarget.checked);
+            }}
+          />
+          Loop
+        </Label>
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          Tempo (BPM)
+          <Input
+            type="number"
+            min={MIN_TEMPO}
+            max={MAX_TEMPO}
+            width="4rem"
+            value={tempo}
+            onChange={(e) => {
+              const value = Math.min(
+                Math.max(Number(e.currentTarget.value), MIN_TEMPO),
+                MAX_TEMPO
+              );
+              setTempo(value);
+              playback.setTempo(value);
+            }}
+          />
+        </Label>
+      </Div>
+      {source === "file" ? (
+        <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+          <input
+            type="file"
+            accept=".mid,.midi,audio/midi"
+            onChange={(e) => {
+              const selected = e.currentTarget.files?.[0];
+              if (selected) loadFile(selected);
+            }}
+          />
+          {file && (
+            <Span fontSize="0.875rem" color="hsl(0,0%,35%)">
+              {file.name}: {file.sequence.events.length} events,{" "}
+              {formatDuration(file.sequence.duration)} at{" "}
+              {Math.round(file.sequence.tempo)} BPM
+            </Span>
+          )}
+          {fileError && (
+            <Span fontSize="0.875rem" color="hsl(0,70%,40%)">
+              {fileError}
+            </Span>
+          )}
+        </Div>
+      ) : (
+        <Div display="flex" flexDirection="column" gap="0.25rem">
+          <Div display="flex" alignItems="center" gap="1rem">
+            <Label display="flex" alignItems="center" gap="0.5rem">
+              Lowest row
+              <select
+                value={patternBase}
+                onChange={(e) => setPatternBase(Number(e.target.value))}
+              >
+                {PATTERN_BASES.map((note) => (
+                  <option key={note} value={note}>
+                    {noteName(note)}
+                  </option>
+                ))}
+              </select>
+            </Label>
+            <Button
+              padding="0.25rem"
+              onClick={() => {
+                setCells(new Set());
+                if (playback.playing && playingSource === "pattern") {
+                  playback.replace(patternToSequence(new Set(), channel));
+                }
+              }}
+            >
+              Clear
+            </Button>
+          </Div>
+          <Div display="flex" flexDirection="column">
+            {Array.from({ length: PATTERN_ROWS }, (_, row) => {
+              const note = patternBase + PATTERN_ROWS - 1 - row;
+              return (
+                <Div key={note} display="flex" alignItems="center">
+                  <Span width="2.5rem" fontSize="0.625rem">
+                    {noteName(note)}
+                  </Span>
+                  {Array.from({ length: STEPS }, (_, step) => {
+                    const on = cells.has(cellId(note, step));
+                    return (
+                      <Div
+                        key={step}
+                        width="1.25rem"
+                        height="0.75rem"
+                        border="1px solid hsl(0,0%,80%)"
+                        marginLeft={
+                          step > 0 && step % STEPS_PER_BEAT === 0
+                            ? "0.25rem"
+                            : undefined
+                        }
+                        backgroundColor={
+                          on
+                            ? "hsl(100,70%,40%)"
+                            : isBlackKey(note)
+                              ? "hsl(0,0%,90%)"
+                              : "white"
+                        }
+                        cursor="pointer"
+                        onClick={() => toggleCell(note, step)}
+                      />
+                    );
+                  })}
+                </Div>
+              );
+            })}
+          </Div>
+        </Div>
+      )}
+    </Div>
+  );
+}
@@ -1,16 +1,42 @@
 import { useCallback, useEffect, useRef, useState } from "react";
+import type { Playback } from "./hooks/usePlayback";
+import type { TakeRecorder } from "./hooks/useTakeRecorder";
+import { writeMidiFile, type MidiSequence } from "./midiFile";
+import type { RenderResult } from "./nxoWorker";
+import { encodeWav } from "./wav";
 
 export interface RecorderProps {
   stream: MediaStream | null;
   memoryLimitBytes: number;
+  // captures the performance while the audio records
+  takeRecorder: TakeRecorder;
+  // replays takes into the synth
+  playback: Playback;
+  // renders a take offline through the presets loaded now
+  onRender: (take: MidiSequence) => Promise<RenderResult>;
 }
 
-export default function Recorder({ stream, memoryLimitBytes }: RecorderProps) {
+export default function Recorder({
+  stream,
+  memoryLimitBytes,
+  takeRecorder,
+  playback,
+  onRender,
+}: RecorderProps) {
   const [recording, setRecording] = useState(false);
   const [url, setUrl] = useState<string | null>(null);
   const mediaRecorderRef = useRef<MediaRecorder | null>(null);
   const chunksRef = useRef<Blob[]>([]);
   const sizeRef = useRef(0);
+  const { take, start: startTake, stop: stopTake } = takeRecorder;
+  const [midiUrl, setMidiUrl] = useState<string | null>(null);
+  const [rendering, setRendering] = useState(false);
+  // the take a render was made from, so a new take doesn't show an old render
+  const [rendered, setRendered] = useState<{
+    take: MidiSequence;
+    url: string;
+  } | null>(null);
+  const [renderError, setRenderError] = useState<string | null>(null);
 
   useEffect(() => {
     return () => {
@@ -18,6 +44,21 @@ export default function Recorder({ stream, memoryLimitBytes }: RecorderProps) {
     };
   }, [url]);
 
+  useEffect(() => {
+    if (!take) return;
+    const next = URL.createObjectURL(
+      new Blob([writeMidiFile(take)], { type: "audio/midi" })
+    );
+    setMidiUrl(next);
+    return () => URL.revokeObjectURL(next);
+  }, [take]);
+
+  useEffect(() => {
+    return () => {
+      if (rendered) URL.revokeObjectURL(rendered.url);
+    };
+  }, [rendered]);
+
   const start = useCallback(() => {
     if (!stream) return;
     if (recording) return;
@@ -35,20 +76,39 @@ export default function Recorder({ stream, memoryLimitBytes }: RecorderProps) {
       sizeRef.current = nextSize;
     };
     mr.onstop = () => {
+      stopTake();
       const blob = new Blob(chunksRef.current, { type: mr.mimeType });
       if (url) URL.revokeObjectURL(url);
       setUrl(URL.createObjectURL(blob));
       setRecording(false);
     };
     mr.start();
+    startTake();
     mediaRecorderRef.current = mr;
     setRecording(true);
-  }, [stream, memoryLimitBytes, recording, url]);
+  }, [stream, memoryLimitBytes, recording, url, startTake, stopTake]);
 
   const stop = useCallback(() => {
     mediaRecorderRef.current?.stop();
   }, []);
 
+  const render = useCallback(async () => {
+    if (!take) return;
+    setRendering(true);
+    setRenderError(null);
+    const result = await onRender(take);
+    setRendering(false);
+    if (!result.ok) {
+      setRenderError(result.error);
+      return;
+    }
+    const { left, right, sampleRate } = result.audio;
+    setRendered({
+      take,
+      url: URL.createObjectURL(encodeWav(left, right, sampleRate)),
+    });
+  }, [take, onRender]);
+
   return (
     <div style={{ display: "flex", flexDirection: "column", gap: "0.5rem" }}>
       <button onClick={recording ? stop : start} disabled={!stream}>
@@ -57,7 +117,48 @@ export default function Recorder({ stream, memoryLimitBytes }: RecorderProps) {
       {url && (
         <audio controls src={url} />
       )}
+      {take && midiUrl && !recording && (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            flexWrap: "wrap",
+            gap: "1rem",
+          }}
+        >
+          <span style={{ fontSize: "0.875rem" }}>
+            Take: {take.events.length} events, {take.duration.toFixed(1)} s
+          </span>
+          <a href={midiUrl} download="take.mid">
+            Download MIDI
+          </a>
+          <button
+            onClick={() =>
+              playback.playing
+                ? playback.stop()
+                : playback.play(take, { loop: false, tempo: take.tempo })
+            }
+          >
+            {playback.playing ? "■ Stop" : "▶ Replay take"}
+          </button>
+          <button onClick={render} disabled={rendering}>
+            {rendering ? "Rendering…" : "Render with current presets"}
+          </button>
+        </div>
+      )}
+      {renderError && (
+        <span style={{ fontSize: "0.875rem", color: "hsl(0,70%,40%)" }}>
+          Render failed: {renderError}
+        </span>
+      )}
+      {rendered && rendered.take === take && (
+        <div style={{ display: "flex", alignItems: "center", gap: "1rem" }}>
+          <audio controls src={rendered.url} />
+          <a href={rendered.url} download="take.wav">
+            Download WAV
+          </a>
+        </div>
+      )}
     </div>
   );
 }
-
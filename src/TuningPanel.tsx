@@ -0,0 +1,174 @@
+import { Button, Div, Input, Label, Span } from "style-props-html";
+import type {
+  Temperament,
+  TuningError,
+  TuningResult,
+  TuningSettings,
+} from "./nxoWorker";
+
+export interface TuningPanelProps {
+  settings: TuningSettings;
+  // outcome of building the current settings; null while in progress
+  status: TuningResult | null;
+  onChange: (settings: TuningSettings) => void;
+}
+
+// Matches TEMPERAMENTS in public/tuning.js
+const TEMPERAMENT_LABELS: Record<Temperament | "scala", string> = {
+  equal: "12-tone equal temperament",
+  just: "Just intonation (5-limit)",
+  pythagorean: "Pythagorean",
+  meantone: "Quarter-comma meantone",
+  "werckmeister-iii": "Werckmeister III",
+  scala: "Scala file (.scl)",
+};
+
+const PITCH_CLASSES = [
+  "C",
+  "C♯",
+  "D",
+  "E♭",
+  "E",
+  "F",
+  "F♯",
+  "G",
+  "A♭",
+  "A",
+  "B♭",
+  "B",
+];
+
+function formatTuningError({ file, line, message }: TuningError): string {
+  const where = [file && `.${file}`, line > 0 && `line ${line}`]
+    .filter(Boolean)
+    .join(" ");
+  return where ? `${where}: ${message}` : message;
+}
+
+function FileInput({
+  label,
+  accept,
+  onLoad,
+}: {
+  label: string;
+  accept: string;
+  onLoad: (text: string) => void;
+}) {
+  return (
+    <Label display="flex" alignItems="center" gap="0.5rem">
+      {label}
+      <input
+        type="file"
+        accept={accept}
+        onChange={async (e) => {
+          const file = e.currentTarget.files?.[0];
+          if (file) onLoad(await file.text());
+        }}
+      />
+    </Label>
+  );
+}
+
+/**
+ * Temperament, tonic and reference pitch, or imported Scala scale and keyboard mapping files.
+ */
+export default function TuningPanel({
+  settings,
+  status,
+  onChange,
+}: TuningPanelProps) {
+  const isScala = settings.temperament === "scala";
+  // a keyboard mapping file sets the tonic and reference pitch itself
+  const mapped = isScala && settings.kbm !== undefined;
+
+  return (
+    <Div display="flex" flexDirection="column" gap="0.25rem">
+      <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          Tuning
+          <select
+            value={settings.temperament}
+            onChange={(e) =>
+              onChange({
+                ...settings,
+                temperament: e.target.value as TuningSettings["temperament"],
+              })
+            }
+          >
+            {Object.entries(TEMPERAMENT_LABELS).map(([name, label]) => (
+              <option key={name} value={name}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </Label>
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          Tonic
+          <select
+            value={settings.root}
+            disabled={mapped}
+            onChange={(e) =>
+              onChange({ ...settings, root: Number(e.target.value) })
+            }
+          >
+            {PITCH_CLASSES.map((name, pitchClass) => (
+              <option key={name} value={pitchClass}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </Label>
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          A4 (Hz)
+          <Input
+            type="number"
+            min={1}
+            step={0.5}
+            width="5rem"
+            disabled={mapped}
+            value={settings.referenceFrequency}
+            onChange={(e) =>
+              onChange({
+                ...settings,
+                referenceFrequency: Number(e.currentTarget.value),
+              })
+            }
+          />
+        </Label>
+      </Div>
+      {isScala && (
+        <Div display="flex" alignItems="center" flexWrap="wrap" gap="1rem">
+          <FileInput
+            label="Scale"
+            accept=".scl"
+            onLoad={(scl) => onChange({ ...settings, scl })}
+          />
+          <FileInput
+            label="Keyboard mapping"
+            accept=".kbm"
+            onLoad={(kbm) => onChange({ ...settings, kbm })}
+          />
+          {mapped && (
+            <Button
+              padding="0.25rem"
+              onClick={() => onChange({ ...settings, kbm: undefined })}
+            >
+              Clear mapping
+            </Button>
+          )}
+        </Div>
+      )}
+      {status && (
+        <Span
+          fontSize="0.875rem"
+          color={status.ok ? "hsl(0,0%,35%)" : "hsl(0,70%,40%)"}
+          whiteSpace="pre-wrap"
+        >
+          {status.ok
+            ? status.description
+            : status.errors.map(formatTuningError).join("\n")}
+        </Span>
+      )}
+    </Div>
+  );
+}
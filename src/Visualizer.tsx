@@ -0,0 +1,292 @@
+import { useEffect, useRef, useState } from "react";
+import { Div, Input, Label, P } from "style-props-html";
+import type { NXOPreset } from "./nxoPreset";
+import { sampleEnvelopes, type EnvelopeCurves } from "./nxoWorker";
+
+export interface VisualizerProps {
+  // the editing part's preset as last accepted by the synth
+  preset: NXOPreset | null;
+  // tapped off the synth node once audio has started
+  analyser: AnalyserNode | null;
+}
+
+const CANVAS_WIDTH = 480;
+const CANVAS_HEIGHT = 140;
+const BACKGROUND = "hsl(0,0%,96%)";
+const GRID = "hsl(0,0%,80%)";
+const TEXT = "hsl(0,0%,35%)";
+// FFT plot range
+const MIN_DB = -100;
+const MAX_DB = 0;
+const MIN_FREQUENCY = 20;
+
+/**
+ * Same color for a harmonic in the envelope plot and the spectrum.
+ */
+function harmonicColor(index: number, count: number) {
+  return `hsl(${Math.round((index * 300) / Math.max(count, 1))},70%,40%)`;
+}
+
+function clearCanvas(canvas: HTMLCanvasElement | null) {
+  const ctx = canvas?.getContext("2d");
+  if (!ctx) return null;
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+  ctx.font = "10px sans-serif";
+  return ctx;
+}
+
+function sortedHarmonics(envelopes: EnvelopeCurves) {
+  return Object.keys(envelopes.curves).sort((a, b) => Number(a) - Number(b));
+}
+
+function drawEnvelopes(
+  canvas: HTMLCanvasElement | null,
+  envelopes: EnvelopeCurves,
+  noteLength: number
+) {
+  const ctx = clearCanvas(canvas);
+  if (!ctx) return;
+
+  const keys = sortedHarmonics(envelopes);
+  let scale = 0;
+  for (const key of keys) {
+    for (const v of envelopes.curves[key]) scale = Math.max(scale, v);
+  }
+  scale ||= 1;
+
+  // note-off marker
+  const noteOffX = (noteLength / envelopes.duration) * CANVAS_WIDTH;
+  ctx.strokeStyle = GRID;
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.moveTo(noteOffX, 0);
+  ctx.lineTo(noteOffX, CANVAS_HEIGHT);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  keys.forEach((key, index) => {
+    const curve = envelopes.curves[key];
+    ctx.strokeStyle = harmonicColor(index, keys.length);
+    ctx.beginPath();
+    curve.forEach((v, i) => {
+      const x = (i / (curve.length - 1)) * CANVAS_WIDTH;
+      const y = CANVAS_HEIGHT - (v / scale) * (CANVAS_HEIGHT - 12);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  });
+
+  ctx.fillStyle = TEXT;
+  ctx.fillText("note off", noteOffX + 3, 10);
+  ctx.fillText(`${envelopes.duration.toFixed(2)} s`, CANVAS_WIDTH - 40, 10);
+}
+
+function drawSpectrum(
+  canvas: HTMLCanvasElement | null,
+  envelopes: EnvelopeCurves
+) {
+  const ctx = clearCanvas(canvas);
+  if (!ctx) return;
+
+  const keys = sortedHarmonics(envelopes);
+  const highest = Math.max(...keys.map((key) => envelopes.ratios[key]));
+  const peak = Math.max(...keys.map((key) => envelopes.spectrum[key]));
+  // one slot per integer harmonic; stretched, detuned and inharmonic partials land between slots
+  const slot = CANVAS_WIDTH / (Math.ceil(highest) + 1);
+
+  keys.forEach((key, index) => {
+    const height =
+      (envelopes.spectrum[key] / (peak || 1)) * (CANVAS_HEIGHT - 24);
+    const x = envelopes.ratios[key] * slot - slot * 0.35;
+    ctx.fillStyle = harmonicColor(index, keys.length);
+    ctx.fillRect(x, CANVAS_HEIGHT - 12 - height, slot * 0.7, height);
+    ctx.fillStyle = TEXT;
+    ctx.fillText(key, x, CANVAS_HEIGHT - 2);
+  });
+}
+
+function drawScope(canvas: HTMLCanvasElement | null, samples: Float32Array) {
+  const ctx = clearCanvas(canvas);
+  if (!ctx) return;
+
+  ctx.strokeStyle = GRID;
+  ctx.beginPath();
+  ctx.moveTo(0, CANVAS_HEIGHT / 2);
+  ctx.lineTo(CANVAS_WIDTH, CANVAS_HEIGHT / 2);
+  ctx.stroke();
+
+  // start on a rising zero crossing so periodic waveforms stand still
+  let start = 0;
+  for (let i = 1; i < samples.length / 2; i++) {
+    if (samples[i - 1] < 0 && samples[i] >= 0) {
+      start = i;
+      break;
+    }
+  }
+  const count = Math.min(samples.length - start, CANVAS_WIDTH * 2);
+  ctx.strokeStyle = "hsl(100,70%,30%)";
+  ctx.beginPath();
+  for (let i = 0; i < count; i++) {
+    const x = (i / count) * CANVAS_WIDTH;
+    const y = ((1 - samples[start + i]) / 2) * CANVAS_HEIGHT;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+  ctx.stroke();
+}
+
+function drawFFT(
+  canvas: HTMLCanvasElement | null,
+  decibels: Float32Array,
+  sampleRate: number
+) {
+  const ctx = clearCanvas(canvas);
+  if (!ctx) return;
+
+  const nyquist = sampleRate / 2;
+  const binWidth = nyquist / decibels.length;
+  const logRange = Math.log(nyquist / MIN_FREQUENCY);
+  const xOf = (frequency: number) =>
+    (Math.log(frequency / MIN_FREQUENCY) / logRange) * CANVAS_WIDTH;
+
+  ctx.fillStyle = TEXT;
+  ctx.strokeStyle = GRID;
+  for (const frequency of [100, 1000, 10000]) {
+    const x = xOf(frequency);
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, CANVAS_HEIGHT);
+    ctx.stroke();
+    ctx.fillText(
+      frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`,
+      x + 2,
+      10
+    );
+  }
+
+  ctx.strokeStyle = "hsl(220,70%,40%)";
+  ctx.beginPath();
+  let started = false;
+  for (let bin = 1; bin < decibels.length; bin++) {
+    const frequency = bin * binWidth;
+    if (frequency < MIN_FREQUENCY) continue;
+    const level = Math.min(Math.max(decibels[bin], MIN_DB), MAX_DB);
+    const y = ((MAX_DB - level) / (MAX_DB - MIN_DB)) * CANVAS_HEIGHT;
+    if (started) ctx.lineTo(xOf(frequency), y);
+    else ctx.moveTo(xOf(frequency), y);
+    started = true;
+  }
+  ctx.stroke();
+}
+
+function Plot({
+  title,
+  canvasRef,
+}: {
+  title: string;
+  canvasRef: React.RefObject<HTMLCanvasElement | null>;
+}) {
+  return (
+    <Div display="flex" flexDirection="column" gap="0.25rem">
+      <P fontSize="0.875rem" fontWeight="bold">
+        {title}
+      </P>
+      <canvas
+        ref={canvasRef}
+        width={CANVAS_WIDTH}
+        height={CANVAS_HEIGHT}
+        style={{ maxWidth: "100%", border: `1px solid ${GRID}` }}
+      />
+    </Div>
+  );
+}
+
+/**
+ * Plots of the current preset (per-harmonic ADSR envelopes and the static spectrum)
+ * next to a live oscilloscope and FFT of what the synth is actually outputting.
+ */
+export default function Visualizer({ preset, analyser }: VisualizerProps) {
+  const [noteLength, setNoteLength] = useState<number>(1);
+  // kept with the note length it was sampled for, so the note-off marker never runs ahead
+  const [sampled, setSampled] = useState<{
+    noteLength: number;
+    envelopes: EnvelopeCurves;
+  } | null>(null);
+
+  const envelopeCanvasRef = useRef<HTMLCanvasElement>(null);
+  const spectrumCanvasRef = useRef<HTMLCanvasElement>(null);
+  const scopeCanvasRef = useRef<HTMLCanvasElement>(null);
+  const fftCanvasRef = useRef<HTMLCanvasElement>(null);
+
+  useEffect(() => {
+    if (!preset) {
+      setSampled(null);
+      return;
+    }
+    let cancelled = false;
+    sampleEnvelopes(preset, noteLength, CANVAS_WIDTH).then((result) => {
+      if (!cancelled) {
+        setSampled(result && { noteLength, envelopes: result });
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [preset, noteLength]);
+
+  useEffect(() => {
+    if (!sampled) {
+      clearCanvas(envelopeCanvasRef.current);
+      clearCanvas(spectrumCanvasRef.current);
+      return;
+    }
+    drawEnvelopes(
+      envelopeCanvasRef.current,
+      sampled.envelopes,
+      sampled.noteLength
+    );
+    drawSpectrum(spectrumCanvasRef.current, sampled.envelopes);
+  }, [sampled]);
+
+  useEffect(() => {
+    if (!analyser) return;
+    const samples = new Float32Array(analyser.fftSize);
+    const decibels = new Float32Array(analyser.frequencyBinCount);
+    let frame = 0;
+    const draw = () => {
+      analyser.getFloatTimeDomainData(samples);
+      analyser.getFloatFrequencyData(decibels);
+      drawScope(scopeCanvasRef.current, samples);
+      drawFFT(fftCanvasRef.current, decibels, analyser.context.sampleRate);
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [analyser]);
+
+  return (
+    <Div display="flex" flexDirection="column" gap="0.5rem" width="100%">
+      <Label display="flex" alignItems="center" gap="0.5rem">
+        Note length (s)
+        <Input
+          type="number"
+          min={0}
+          step={0.1}
+          width="5rem"
+          value={noteLength}
+          onChange={(e) =>
+            setNoteLength(Math.max(0, Number(e.currentTarget.value)))
+          }
+        />
+      </Label>
+      <Div display="flex" flexWrap="wrap" gap="0.5rem">
+        <Plot title="Envelopes" canvasRef={envelopeCanvasRef} />
+        <Plot title="Harmonic spectrum" canvasRef={spectrumCanvasRef} />
+        <Plot title="Oscilloscope" canvasRef={scopeCanvasRef} />
+        <Plot title="FFT" canvasRef={fftCanvasRef} />
+      </Div>
+    </Div>
+  );
+}
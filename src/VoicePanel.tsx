@@ -0,0 +1,93 @@
+import { Div, Input, Label, Span } from "style-props-html";
+
+export type StealPolicy =
+  | "oldest"
+  | "quietest"
+  | "released-first"
+  | "same-note";
+
+export interface VoiceDiagnostics {
+  activeVoices: number;
+  fadingVoices: number;
+  peakVoices: number;
+  voicesStolen: number;
+  strayNoteOffs: number;
+  retriggeredNotes: number;
+}
+
+export interface VoicePanelProps {
+  polyphony: number;
+  stealPolicy: StealPolicy;
+  diagnostics: VoiceDiagnostics | null;
+  onPolyphonyChange: (voices: number) => void;
+  onStealPolicyChange: (policy: StealPolicy) => void;
+}
+
+// Matches MAX_POLYPHONY in the engine
+export const MAX_POLYPHONY = 64;
+
+const STEAL_POLICY_LABELS: Record<StealPolicy, string> = {
+  "released-first": "released voices first",
+  oldest: "oldest voice",
+  quietest: "quietest voice",
+  "same-note": "same note retriggers its voice",
+};
+
+/**
+ * Polyphony and voice stealing settings, with the synth's voice counters underneath.
+ */
+export default function VoicePanel({
+  polyphony,
+  stealPolicy,
+  diagnostics,
+  onPolyphonyChange,
+  onStealPolicyChange,
+}: VoicePanelProps) {
+  return (
+    <Div display="flex" flexDirection="column" gap="0.25rem">
+      <Div display="flex" alignItems="center" gap="1rem">
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          Polyphony
+          <Input
+            type="number"
+            min={1}
+            max={MAX_POLYPHONY}
+            width="4rem"
+            value={polyphony}
+            onChange={(e) =>
+              onPolyphonyChange(
+                Math.min(
+                  Math.max(Math.round(Number(e.currentTarget.value)), 1),
+                  MAX_POLYPHONY
+                )
+              )
+            }
+          />
+        </Label>
+        <Label display="flex" alignItems="center" gap="0.5rem">
+          When full, steal
+          <select
+            value={stealPolicy}
+            onChange={(e) => onStealPolicyChange(e.target.value as StealPolicy)}
+          >
+            {Object.entries(STEAL_POLICY_LABELS).map(([policy, label]) => (
+              <option key={policy} value={policy}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </Label>
+      </Div>
+      {diagnostics && (
+        <Span fontSize="0.875rem" color="hsl(0,0%,35%)">
+          voices {diagnostics.activeVoices}/{polyphony}
+          {diagnostics.fadingVoices > 0 &&
+            ` (+${diagnostics.fadingVoices} fading)`}
+          , peak {diagnostics.peakVoices} · stolen {diagnostics.voicesStolen} ·
+          stray note-offs {diagnostics.strayNoteOffs} · retriggers{" "}
+          {diagnostics.retriggeredNotes}
+        </Span>
+      )}
+    </Div>
+  );
+}
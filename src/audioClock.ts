@@ -0,0 +1,21 @@
+// Frames the Web Audio API renders per block
+const RENDER_QUANTUM_SIZE = 128;
+// Live events are delayed by this many quanta, so messages that arrive a little late
+// still land in the future and keep their spacing
+const SCHEDULING_QUANTA = 2;
+
+/**
+ * Context time at which a live input event should sound.
+ * `currentTime` is where the synth is rendering, so the event lands a fixed, short delay after it,
+ * minus however long ago the event happened.
+ * @param timeStamp - When the event happened, on the `performance.now()` clock
+ *   (e.g. `MIDIMessageEvent.timeStamp`). Defaults to now.
+ */
+export function eventTime(ctx: BaseAudioContext, timeStamp?: number): number {
+  const age =
+    timeStamp === undefined
+      ? 0
+      : Math.max(0, (performance.now() - timeStamp) / 1000);
+  const delay = (SCHEDULING_QUANTA * RENDER_QUANTUM_SIZE) / ctx.sampleRate;
+  return ctx.currentTime + Math.max(delay - age, 0);
+}
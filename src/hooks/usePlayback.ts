@@ -0,0 +1,210 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import type { MidiSequence, PerformanceEvent } from "../midiFile";
+
+// Events are handed to the synth this far ahead of when they sound, and the scheduler wakes
+// up this often to do it. The synth applies each one on its exact frame, so timer jitter
+// only has to stay under the lookahead.
+const LOOKAHEAD = 0.1;
+const TICK_MILLIS = 25;
+// Room between pressing play and the first event, so it isn't already late
+const START_DELAY = 0.05;
+
+export interface PlaybackOptions {
+  loop: boolean;
+  // BPM; the sequence's own tempo plays it as written
+  tempo: number;
+}
+
+export interface Playback {
+  playing: boolean;
+  play: (sequence: MidiSequence, options: PlaybackOptions) => void;
+  stop: () => void;
+  // both keep the current position
+  setTempo: (tempo: number) => void;
+  setLoop: (loop: boolean) => void;
+  // swaps in an edited sequence without restarting
+  replace: (sequence: MidiSequence) => void;
+}
+
+interface Transport {
+  sequence: MidiSequence;
+  loop: boolean;
+  // sequence seconds per context second
+  speed: number;
+  // context time at which the sequence's time 0 plays (this pass, when looping)
+  origin: number;
+  // next event to schedule
+  cursor: number;
+  // every event before this context time has been handed over
+  covered: number;
+  // latest context time anything has been scheduled for
+  scheduledUntil: number;
+  // notes scheduled on and not yet off, by `<channel>:<note>`
+  sounding: Map<string, { channel: number; note: number }>;
+  // controllers the sequence has moved, by `<type>:<channel>`, to reset on stop
+  controllers: Set<string>;
+  timer: ReturnType<typeof setInterval>;
+}
+
+type Sink = (event: PerformanceEvent, time: number) => void;
+
+function emit(
+  transport: Transport,
+  sink: Sink,
+  event: PerformanceEvent,
+  time: number
+) {
+  if (event.type === "noteOn" || event.type === "noteOff") {
+    const id = `${event.channel}:${event.note}`;
+    if (event.type === "noteOn") {
+      transport.sounding.set(id, { channel: event.channel, note: event.note });
+    } else {
+      transport.sounding.delete(id);
+    }
+  } else {
+    transport.controllers.add(`${event.type}:${event.channel}`);
+  }
+  transport.scheduledUntil = Math.max(transport.scheduledUntil, time);
+  sink(event, time);
+}
+
+function releaseNotes(transport: Transport, sink: Sink, time: number) {
+  for (const { channel, note } of transport.sounding.values()) {
+    emit(transport, sink, { type: "noteOff", channel, note }, time);
+  }
+}
+
+/**
+ * Plays MIDI sequences into the synth by scheduling their events against the audio clock.
+ * `sink` gets each event with the context time it should sound at; notes left sounding and
+ * controllers left moved are released when playback stops or loops.
+ */
+export default function usePlayback(
+  context: BaseAudioContext | null,
+  sink: Sink
+): Playback {
+  const [playing, setPlaying] = useState(false);
+  const transportRef = useRef<Transport | null>(null);
+  const sinkRef = useRef(sink);
+  sinkRef.current = sink;
+
+  const stop = useCallback(() => {
+    const transport = transportRef.current;
+    if (!transport || !context) return;
+    clearInterval(transport.timer);
+    transportRef.current = null;
+    // after everything already handed over, so no scheduled note-on outlives its note-off
+    const time = Math.max(context.currentTime, transport.scheduledUntil);
+    releaseNotes(transport, sinkRef.current, time);
+    for (const controller of transport.controllers) {
+      const [type, channel] = controller.split(":");
+      const reset: PerformanceEvent =
+        type === "sustain"
+          ? { type, channel: Number(channel), down: false }
+          : {
+              type: type as "modWheel" | "pitchBend",
+              channel: Number(channel),
+              value: 0,
+            };
+      sinkRef.current(reset, time);
+    }
+    setPlaying(false);
+  }, [context]);
+
+  const tick = useCallback(() => {
+    const transport = transportRef.current;
+    if (!transport || !context) return;
+    const sink = sinkRef.current;
+    const horizon = context.currentTime + LOOKAHEAD;
+    transport.covered = horizon;
+    let end: number;
+    for (;;) {
+      const { events, duration } = transport.sequence;
+      while (transport.cursor < events.length) {
+        const event = events[transport.cursor];
+        const time = transport.origin + event.time / transport.speed;
+        if (time >= horizon) break;
+        // never before something already handed over, so tempo changes can't reorder events
+        emit(transport, sink, event, Math.max(time, transport.scheduledUntil));
+        transport.cursor++;
+      }
+      end = transport.origin + duration / transport.speed;
+      if (end >= horizon) return;
+      if (!transport.loop || duration <= 0) break;
+      releaseNotes(transport, sink, end);
+      transport.origin = end;
+      transport.cursor = 0;
+    }
+    if (context.currentTime >= end) stop();
+  }, [context, stop]);
+
+  const play = useCallback(
+    (sequence: MidiSequence, { loop, tempo }: PlaybackOptions) => {
+      if (!context) return;
+      stop();
+      transportRef.current = {
+        sequence,
+        loop,
+        speed: tempo / sequence.tempo,
+        origin: context.currentTime + START_DELAY,
+        cursor: 0,
+        covered: 0,
+        scheduledUntil: 0,
+        sounding: new Map(),
+        controllers: new Set(),
+        timer: setInterval(tick, TICK_MILLIS),
+      };
+      setPlaying(true);
+      tick();
+    },
+    [context, stop, tick]
+  );
+
+  const setTempo = useCallback(
+    (tempo: number) => {
+      const transport = transportRef.current;
+      if (!transport || !context) return;
+      const speed = tempo / transport.sequence.tempo;
+      // rescale around what is playing now
+      const now = context.currentTime;
+      const position = (now - transport.origin) * transport.speed;
+      transport.origin = now - position / speed;
+      transport.speed = speed;
+    },
+    [context]
+  );
+
+  const setLoop = useCallback((loop: boolean) => {
+    if (transportRef.current) transportRef.current.loop = loop;
+  }, []);
+
+  const replace = useCallback(
+    (sequence: MidiSequence) => {
+      const transport = transportRef.current;
+      if (!transport || !context) return;
+      // carry on from where scheduling got to, in the new sequence's terms
+      releaseNotes(transport, sinkRef.current, transport.scheduledUntil);
+      const speed =
+        transport.speed * (transport.sequence.tempo / sequence.tempo);
+      const covered = Math.max(transport.covered, transport.origin);
+      let position = (covered - transport.origin) * transport.speed;
+      if (position >= sequence.duration && sequence.duration > 0) {
+        position %= sequence.duration;
+      }
+      transport.origin = covered - position / speed;
+      transport.speed = speed;
+      transport.sequence = sequence;
+      transport.cursor = sequence.events.findIndex((e) => e.time >= position);
+      if (transport.cursor < 0) transport.cursor = sequence.events.length;
+    },
+    [context]
+  );
+
+  // nothing keeps playing once the player is gone
+  useEffect(() => stop, [stop]);
+
+  return useMemo(
+    () => ({ playing, play, stop, setTempo, setLoop, replace }),
+    [playing, play, stop, setTempo, setLoop, replace]
+  );
+}
@@ -0,0 +1,108 @@
+import { useCallback, useMemo, useRef, useState } from "react";
+import type { MidiSequence, PerformanceEvent, TimedEvent } from "../midiFile";
+
+// A take is laid out in seconds; this is only the tempo its MIDI file is written at
+const TAKE_TEMPO = 120;
+
+export interface TakeRecorder {
+  recording: boolean;
+  // the last finished take
+  take: MidiSequence | null;
+  start: () => void;
+  stop: () => void;
+  // every live event goes through here, with the context time it sounds at
+  capture: (event: PerformanceEvent, time: number) => void;
+}
+
+type ControllerEvent = Exclude<PerformanceEvent, { note: number }>;
+
+function isMoved(event: ControllerEvent) {
+  return event.type === "sustain" ? event.down : event.value !== 0;
+}
+
+interface Take {
+  // context time of the take's time 0
+  origin: number;
+  events: TimedEvent[];
+  // notes started during the take and not yet released, by `<channel>:<note>`
+  held: Map<string, { channel: number; note: number }>;
+}
+
+/**
+ * Captures the performance reaching the synth as a MIDI sequence, alongside an audio recording.
+ * Controllers already moved when a take starts are written at its start; notes still held and
+ * controllers still moved when it stops are released at its end, so the take replays the way
+ * it sounded and ends at rest.
+ */
+export default function useTakeRecorder(
+  context: BaseAudioContext | null
+): TakeRecorder {
+  const [recording, setRecording] = useState(false);
+  const [take, setTake] = useState<MidiSequence | null>(null);
+  const takeRef = useRef<Take | null>(null);
+  // latest pedal, mod wheel and bend of each channel, by `<type>:<channel>`, whether recording or not
+  const controllersRef = useRef(new Map<string, ControllerEvent>());
+
+  const capture = useCallback((event: PerformanceEvent, time: number) => {
+    if (event.type !== "noteOn" && event.type !== "noteOff") {
+      controllersRef.current.set(`${event.type}:${event.channel}`, event);
+    }
+    const current = takeRef.current;
+    if (!current) return;
+    if (event.type === "noteOn" || event.type === "noteOff") {
+      const id = `${event.channel}:${event.note}`;
+      if (event.type === "noteOn") {
+        current.held.set(id, { channel: event.channel, note: event.note });
+      } else if (!current.held.delete(id)) {
+        // started before the take
+        return;
+      }
+    }
+    current.events.push({
+      ...event,
+      time: Math.max(time - current.origin, 0),
+    });
+  }, []);
+
+  const start = useCallback(() => {
+    if (!context) return;
+    const events: TimedEvent[] = [];
+    for (const event of controllersRef.current.values()) {
+      if (isMoved(event)) events.push({ ...event, time: 0 });
+    }
+    takeRef.current = { origin: context.currentTime, events, held: new Map() };
+    setRecording(true);
+  }, [context]);
+
+  const stop = useCallback(() => {
+    const current = takeRef.current;
+    if (!current || !context) return;
+    takeRef.current = null;
+    // live events are scheduled a little ahead, so the take runs to the last of them
+    const duration = current.events.reduce(
+      (end, { time }) => Math.max(end, time),
+      context.currentTime - current.origin
+    );
+    const events = [...current.events];
+    for (const { channel, note } of current.held.values()) {
+      events.push({ type: "noteOff", channel, note, time: duration });
+    }
+    for (const event of controllersRef.current.values()) {
+      if (!isMoved(event)) continue;
+      events.push(
+        event.type === "sustain"
+          ? { ...event, down: false, time: duration }
+          : { ...event, value: 0, time: duration }
+      );
+    }
+    // events can arrive out of order when MIDI timestamps are older than the last one sent
+    events.sort((a, b) => a.time - b.time);
+    setTake({ events, duration, tempo: TAKE_TEMPO });
+    setRecording(false);
+  }, [context]);
+
+  return useMemo(
+    () => ({ recording, take, start, stop, capture }),
+    [recording, take, start, stop, capture]
+  );
+}
@@ -0,0 +1,352 @@
+/**
+ * Standard MIDI Files (.mid) as the performance events the synth understands.
+ */
+
+/**
+ * A performance message in the shape the synth's port takes it, minus the time.
+ */
+export type PerformanceEvent =
+  | { type: "noteOn"; channel: number; note: number; velocity: number }
+  | { type: "noteOff"; channel: number; note: number }
+  | { type: "sustain"; channel: number; down: boolean }
+  // 0–1
+  | { type: "modWheel"; channel: number; value: number }
+  // -1–1
+  | { type: "pitchBend"; channel: number; value: number };
+
+export type TimedEvent = PerformanceEvent & {
+  // seconds from the start of the sequence
+  time: number;
+};
+
+export interface MidiSequence {
+  // sorted by time
+  events: TimedEvent[];
+  // seconds; may run past the last event to keep a trailing rest
+  duration: number;
+  // BPM the times were laid out at, so playback tempo can be set as a BPM
+  tempo: number;
+}
+
+export type MidiFileResult =
+  { ok: true; sequence: MidiSequence } | { ok: false; error: string };
+
+// Tempo a file plays at until it sets one, in microseconds per quarter note (120 BPM)
+const DEFAULT_TEMPO = 500000;
+
+// Events tagged with their position in ticks and, at equal ticks, in the file
+interface TickEvent {
+  tick: number;
+  order: number;
+  event: PerformanceEvent | { type: "tempo"; tempo: number } | null;
+}
+
+class MidiReader {
+  private view: DataView;
+  offset = 0;
+
+  constructor(data: ArrayBuffer) {
+    this.view = new DataView(data);
+  }
+
+  get remaining() {
+    return this.view.byteLength - this.offset;
+  }
+
+  uint8() {
+    this.need(1);
+    return this.view.getUint8(this.offset++);
+  }
+
+  uint16() {
+    this.need(2);
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  uint32() {
+    this.need(4);
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  // variable-length quantity: 7 bits per byte, high bit set on all but the last
+  varLength() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.uint8();
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error("variable-length number is longer than 4 bytes");
+  }
+
+  text(length: number) {
+    this.need(length);
+    let text = "";
+    for (let i = 0; i < length; i++) {
+      text += String.fromCharCode(this.view.getUint8(this.offset++));
+    }
+    return text;
+  }
+
+  skip(length: number) {
+    this.need(length);
+    this.offset += length;
+  }
+
+  private need(length: number) {
+    if (this.remaining < length) throw new Error("file ends unexpectedly");
+  }
+}
+
+function readTrack(
+  reader: MidiReader,
+  end: number,
+  events: TickEvent[]
+): number {
+  let tick = 0;
+  let status = 0;
+  while (reader.offset < end) {
+    tick += reader.varLength();
+    let byte = reader.uint8();
+    if (byte === 0xff) {
+      const type = reader.uint8();
+      const length = reader.varLength();
+      if (type === 0x2f) {
+        // end of track
+        reader.skip(length);
+        break;
+      }
+      if (type === 0x51 && length === 3) {
+        const tempo =
+          (reader.uint8() << 16) | (reader.uint8() << 8) | reader.uint8();
+        // a tempo of 0 would put every later event at infinity
+        if (tempo === 0) continue;
+        events.push({
+          tick,
+          order: events.length,
+          event: { type: "tempo", tempo },
+        });
+      } else {
+        reader.skip(length);
+      }
+      continue;
+    }
+    if (byte === 0xf0 || byte === 0xf7) {
+      // system exclusive
+      reader.skip(reader.varLength());
+      continue;
+    }
+    if (byte & 0x80) {
+      status = byte;
+      byte = reader.uint8();
+    } else if (!status) {
+      throw new Error("data byte without a status byte");
+    }
+    // running status: `byte` is the first data byte
+    const command = status & 0xf0;
+    const channel = status & 0x0f;
+    const data2 = command === 0xc0 || command === 0xd0 ? 0 : reader.uint8();
+    events.push({
+      tick,
+      order: events.length,
+      event: channelEvent(command, channel, byte, data2),
+    });
+  }
+  return tick;
+}
+
+function channelEvent(
+  command: number,
+  channel: number,
+  data1: number,
+  data2: number
+): PerformanceEvent | null {
+  switch (command) {
+    case 0x90:
+      if (data2 > 0) {
+        return { type: "noteOn", channel, note: data1, velocity: data2 };
+      }
+      return { type: "noteOff", channel, note: data1 };
+    case 0x80:
+      return { type: "noteOff", channel, note: data1 };
+    case 0xb0:
+      if (data1 === 64) return { type: "sustain", channel, down: data2 >= 64 };
+      if (data1 === 1) return { type: "modWheel", channel, value: data2 / 127 };
+      return null;
+    case 0xe0: {
+      // 14-bit value, LSB first, centered on 8192
+      const bend = ((data2 << 7) | data1) - 8192;
+      return {
+        type: "pitchBend",
+        channel,
+        value: bend / (bend < 0 ? 8192 : 8191),
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads a format 0 or 1 Standard MIDI File, merging its tracks. Notes, sustain, mod wheel
+ * and pitch bend are kept; other messages are dropped.
+ */
+export function parseMidiFile(data: ArrayBuffer): MidiFileResult {
+  try {
+    const reader = new MidiReader(data);
+    if (reader.remaining < 14 || reader.text(4) !== "MThd") {
+      return { ok: false, error: "not a Standard MIDI File" };
+    }
+    const headerLength = reader.uint32();
+    if (headerLength < 6) {
+      return { ok: false, error: "MIDI file header is too short" };
+    }
+    const format = reader.uint16();
+    const trackCount = reader.uint16();
+    const division = reader.uint16();
+    reader.skip(headerLength - 6);
+    if (format > 1) {
+      return {
+        ok: false,
+        error: "format 2 files (independent patterns) are not supported",
+      };
+    }
+
+    // SMPTE divisions count ticks per frame at a fixed frame rate; tempo doesn't apply
+    const smpte = (division & 0x8000) !== 0;
+    if (smpte ? (division & 0xff) === 0 : division === 0) {
+      return { ok: false, error: "MIDI file header has a time division of 0" };
+    }
+
+    const events: TickEvent[] = [];
+    let lastTick = 0;
+    for (let track = 0; track < trackCount && reader.remaining > 0;) {
+      const type = reader.text(4);
+      const length = reader.uint32();
+      const end = reader.offset + length;
+      if (type === "MTrk") {
+        lastTick = Math.max(lastTick, readTrack(reader, end, events));
+        track++;
+      }
+      // unknown chunks are skipped, as the format requires
+      reader.offset = end;
+    }
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const secondsPerTick = smpte
+      ? () => 1 / ((256 - (division >> 8)) * (division & 0xff))
+      : (tempo: number) => tempo / 1e6 / division;
+
+    let tempo = DEFAULT_TEMPO;
+    let initialTempo: number | null = null;
+    let tick = 0;
+    let time = 0;
+    const timed: TimedEvent[] = [];
+    for (const { tick: at, event } of events) {
+      time += (at - tick) * secondsPerTick(tempo);
+      tick = at;
+      if (!event) continue;
+      if (event.type === "tempo") {
+        tempo = event.tempo;
+        // the tempo it starts at names the sequence's tempo
+        if (at === 0) initialTempo = tempo;
+        continue;
+      }
+      timed.push({ ...event, time });
+    }
+    time += (lastTick - tick) * secondsPerTick(tempo);
+
+    return {
+      ok: true,
+      sequence: {
+        events: timed,
+        duration: time,
+        tempo: 60e6 / (initialTempo ?? DEFAULT_TEMPO),
+      },
+    };
+  } catch (e) {
+    return { ok: false, error: e instanceof Error ? e.message : String(e) };
+  }
+}
+
+// Ticks per quarter note in files we write
+const WRITE_DIVISION = 480;
+
+function clamp7(value: number) {
+  return Math.min(Math.max(Math.round(value), 0), 127);
+}
+
+function channelMessage(event: PerformanceEvent): number[] {
+  const channel = event.channel & 0x0f;
+  switch (event.type) {
+    case "noteOn":
+      // velocity 0 would read back as a note-off
+      return [0x90 | channel, event.note, Math.max(clamp7(event.velocity), 1)];
+    case "noteOff":
+      return [0x80 | channel, event.note, 0];
+    case "sustain":
+      return [0xb0 | channel, 64, event.down ? 127 : 0];
+    case "modWheel":
+      return [0xb0 | channel, 1, clamp7(event.value * 127)];
+    case "pitchBend": {
+      const value = Math.min(Math.max(event.value, -1), 1);
+      const bend = Math.round(value * (value < 0 ? 8192 : 8191)) + 8192;
+      return [0xe0 | channel, bend & 0x7f, bend >> 7];
+    }
+  }
+}
+
+function varLengthBytes(value: number): number[] {
+  const bytes = [value & 0x7f];
+  for (value >>>= 7; value > 0; value >>>= 7) {
+    bytes.unshift((value & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+/**
+ * Writes a sequence as a format 0 Standard MIDI File at its own tempo, so it reads back
+ * with the same timing and tempo.
+ */
+export function writeMidiFile({
+  events,
+  duration,
+  tempo,
+}: MidiSequence): Uint8Array<ArrayBuffer> {
+  const ticksPerSecond = (tempo / 60) * WRITE_DIVISION;
+  const microsPerQuarter = Math.round(60e6 / tempo);
+  const track: number[] = [
+    // tempo at tick 0
+    0,
+    0xff,
+    0x51,
+    3,
+    (microsPerQuarter >> 16) & 0xff,
+    (microsPerQuarter >> 8) & 0xff,
+    microsPerQuarter & 0xff,
+  ];
+  let tick = 0;
+  for (const event of events) {
+    const at = Math.max(Math.round(event.time * ticksPerSecond), tick);
+    track.push(...varLengthBytes(at - tick), ...channelMessage(event));
+    tick = at;
+  }
+  const end = Math.max(Math.round(duration * ticksPerSecond), tick);
+  track.push(...varLengthBytes(end - tick), 0xff, 0x2f, 0);
+
+  const data = new Uint8Array(22 + track.length);
+  const view = new DataView(data.buffer);
+  data.set([0x4d, 0x54, 0x68, 0x64], 0); // "MThd"
+  view.setUint32(4, 6);
+  view.setUint16(8, 0);
+  view.setUint16(10, 1);
+  view.setUint16(12, WRITE_DIVISION);
+  data.set([0x4d, 0x54, 0x72, 0x6b], 14); // "MTrk"
+  view.setUint32(18, track.length);
+  data.set(track, 22);
+  return data;
+}
@@ -0,0 +1,216 @@
+/**
+ * Types for the declarative preset format validated by `public/nxo-preset.js`.
+ */
+
+export type PresetFormat = "script" | "json";
+
+export interface HarmonicParameters {
+  amplitude: number;
+  attack: number;
+  decay: number;
+  sustain: number;
+  release: number;
+  velocitySensitivity?: number;
+  // fixed frequency added to the partial, in Hz
+  offsetHz?: number;
+  // cents
+  detune?: number;
+  // starting phase in cycles, or a new random phase for every note
+  phase?: number | "random";
+  // stretches partial n to n·sqrt(1 + stiffness·n²) times the fundamental
+  stiffness?: number;
+}
+
+export interface ModWheelTarget {
+  target: "vibrato" | "tremolo" | "brightness";
+  depth?: number;
+  rate?: number;
+}
+
+export type VelocityCurve =
+  | "linear"
+  | "exponential"
+  | { type: "exponential"; range?: number }
+  | number[];
+
+export interface VoiceMode {
+  mode: "poly" | "mono";
+  // which held key sounds in mono mode
+  priority?: "last" | "low" | "high";
+  // moving between held keys keeps the envelope running
+  legato?: boolean;
+  // glide time in seconds
+  portamento?: number;
+}
+
+export interface LFODef {
+  // Hz
+  rate: number;
+  // peak output, 0–1
+  depth?: number;
+  waveform?: "sine" | "triangle" | "square" | "saw" | "random";
+  // seconds after note-on to fade in to full depth
+  delay?: number;
+  // restart with every note instead of free-running for the whole part
+  keySync?: boolean;
+}
+
+export interface ModulationRoute {
+  // "lfo1", "lfo2", …, "velocity", "modWheel" or "keyTrack"
+  source: string;
+  destination: "amplitude" | "pitch";
+  // fraction of the harmonic's gain, or semitones
+  amount: number;
+  // harmonic keys to modulate; all of them when omitted
+  harmonics?: number[];
+}
+
+// Positions run from -1 (left) to 1 (right)
+export interface StereoDef {
+  pan?: number;
+  // offset five octaves above middle C (and the opposite below)
+  keyFollow?: number;
+  // partials alternate either side of their voice by this much
+  spread?: number;
+  // scales key follow and spread; 0 puts everything at `pan`
+  width?: number;
+}
+
+export type EQBandType =
+  | "peaking"
+  | "lowshelf"
+  | "highshelf"
+  | "lowpass"
+  | "highpass";
+
+export interface EQBand {
+  type: EQBandType;
+  // Hz
+  frequency: number;
+  // dB, peaking and shelf bands only
+  gain?: number;
+  q?: number;
+}
+
+export interface ChorusEffect {
+  enabled?: boolean;
+  // "vibrato" plays only the swept copy
+  mode?: "chorus" | "vibrato";
+  // Hz
+  rate?: number;
+  // seconds the delay swings either way
+  depth?: number;
+  mix?: number;
+}
+
+export interface DelayEffect {
+  enabled?: boolean;
+  // seconds between repeats
+  time?: number;
+  feedback?: number;
+  mix?: number;
+  damping?: number;
+  pingPong?: boolean;
+}
+
+export interface ReverbEffect {
+  enabled?: boolean;
+  size?: number;
+  damping?: number;
+  mix?: number;
+  // seconds
+  preDelay?: number;
+}
+
+// Each effect is off unless present, and applied in this key order
+export interface EffectsDef {
+  eq?: { enabled?: boolean; bands?: EQBand[] };
+  chorus?: ChorusEffect;
+  delay?: DelayEffect;
+  reverb?: ReverbEffect;
+}
+
+export interface NXOPreset {
+  name?: string;
+  metadata?: Record<string, unknown>;
+  gain?: number;
+  harmonics: Record<string, HarmonicParameters>;
+  modWheel?: ModWheelTarget;
+  velocityCurve?: VelocityCurve;
+  voiceMode?: VoiceMode;
+  // default for harmonics that don't set their own
+  stiffness?: number;
+  lfos?: LFODef[];
+  modulations?: ModulationRoute[];
+  stereo?: StereoDef;
+  effects?: EffectsDef;
+}
+
+export interface PresetFieldError {
+  // dotted path such as "harmonics.1.attack"; empty for the preset as a whole
+  path: string;
+  message: string;
+  // 1-based position in the preset source, when it could be worked out
+  line?: number;
+  column?: number;
+}
+
+export type PresetCompileResult =
+  | { ok: true; preset: NXOPreset }
+  | { ok: false; errors: PresetFieldError[] };
+
+/**
+ * What the synth reports about a preset it has loaded.
+ */
+export interface PresetSummary {
+  harmonicCount: number;
+  // seconds
+  longestRelease: number;
+  // linear peak of one full-velocity note with all harmonics in phase
+  peakLevel: number;
+}
+
+/**
+ * Outcome of the last compile of a part, from the worker or the synth.
+ */
+export type CompileStatus =
+  | { ok: true; summary: PresetSummary }
+  | { ok: false; errors: PresetFieldError[] };
+
+/**
+ * Presets listed in presets.json are declarative when their file is JSON, scripts otherwise.
+ */
+export function presetFormatFromUrl(url: string): PresetFormat {
+  return url.toLowerCase().endsWith(".json") ? "json" : "script";
+}
+
+export function formatPresetErrors(errors: PresetFieldError[]): string {
+  return errors
+    .map(({ path, message }) => (path ? `${path}: ${message}` : message))
+    .join("\n");
+}
+
+export function formatPresetSummary({
+  harmonicCount,
+  longestRelease,
+  peakLevel,
+}: PresetSummary): string {
+  const peakDb = peakLevel > 0 ? 20 * Math.log10(peakLevel) : -Infinity;
+  return `${harmonicCount} harmonics, ${longestRelease.toFixed(2)} s release, peak ${peakDb.toFixed(1)} dBFS`;
+}
+
+/**
+ * A JSON preset's code as a preset object, for editing it in place; a bare harmonic map is
+ * read as a preset of just those harmonics. Null when the code isn't a JSON object.
+ */
+export function parsePresetJson(code: string): NXOPreset | null {
+  try {
+    const value = JSON.parse(code);
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return null;
+    }
+    return "harmonics" in value ? value : { harmonics: value };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,308 @@
+import type { MidiSequence } from "./midiFile";
+import {
+  formatPresetErrors,
+  type NXOPreset,
+  type PresetCompileResult,
+  type PresetFieldError,
+  type PresetFormat,
+} from "./nxoPreset";
+import type { OutputSettings } from "./OutputPanel";
+
+// A preset script that has not returned by then is assumed to be stuck
+const REQUEST_TIMEOUT_MS = 2000;
+// Renders run no user code, but a long take can take a while
+const RENDER_TIMEOUT_MS = 60000;
+
+interface PendingRequest {
+  resolve: (reply: Record<string, unknown>) => void;
+  reject: (error: Error) => void;
+  timer: ReturnType<typeof setTimeout>;
+}
+
+let worker: Worker | null = null;
+let nextRequestId = 0;
+const pending = new Map<number, PendingRequest>();
+
+function getWorker(): Worker {
+  if (worker) return worker;
+  worker = new Worker("/nxo-worker.js", { type: "module" });
+  worker.onmessage = (event: MessageEvent<{ id: number }>) => {
+    const request = pending.get(event.data.id);
+    if (!request) return;
+    pending.delete(event.data.id);
+    clearTimeout(request.timer);
+    request.resolve(event.data);
+  };
+  return worker;
+}
+
+/**
+ * Kill the worker (the only way to stop a runaway script) and fail everything in flight.
+ */
+function resetWorker(error: Error) {
+  worker?.terminate();
+  worker = null;
+  for (const request of pending.values()) {
+    clearTimeout(request.timer);
+    request.reject(error);
+  }
+  pending.clear();
+}
+
+function request<T>(message: Record<string, unknown>): Promise<T> {
+  const id = nextRequestId++;
+  return new Promise<T>((resolve, reject) => {
+    const timer = setTimeout(
+      () =>
+        resetWorker(
+          new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000} s`)
+        ),
+      REQUEST_TIMEOUT_MS
+    );
+    pending.set(id, {
+      resolve: (reply) => resolve(reply as T),
+      reject,
+      timer,
+    });
+    getWorker().postMessage({ ...message, id });
+  });
+}
+
+/**
+ * Evaluate a preset (script or JSON) off the audio thread and validate it.
+ * Never rejects: failures, including timeouts, come back as field errors.
+ */
+export async function compilePreset(
+  code: string,
+  format: PresetFormat
+): Promise<PresetCompileResult> {
+  try {
+    return await request<PresetCompileResult>({
+      type: "compile",
+      code,
+      format,
+    });
+  } catch (e) {
+    return {
+      ok: false,
+      errors: [
+        { path: "", message: e instanceof Error ? e.message : String(e) },
+      ],
+    };
+  }
+}
+
+export interface EnvelopeCurves {
+  // seconds covered by the curves: note length plus the longest release
+  duration: number;
+  // sampled envelope per harmonic key, evenly spaced over `duration`
+  curves: Record<string, Float32Array>;
+  // normalized amplitude per harmonic key
+  spectrum: Record<string, number>;
+  // frequency relative to the fundamental per harmonic key, stiffness and detune included
+  ratios: Record<string, number>;
+}
+
+/**
+ * Sample each harmonic's envelope for a note held `noteLength` seconds,
+ * using the same envelope code the synth plays with.
+ * Resolves to null when the preset is invalid or the worker fails.
+ */
+export async function sampleEnvelopes(
+  preset: NXOPreset,
+  noteLength: number,
+  pointCount = 256
+): Promise<EnvelopeCurves | null> {
+  try {
+    const reply = await request<
+      ({ ok: true } & EnvelopeCurves) | { ok: false }
+    >({ type: "envelopes", preset, noteLength, pointCount });
+    return reply.ok
+      ? {
+          duration: reply.duration,
+          curves: reply.curves,
+          spectrum: reply.spectrum,
+          ratios: reply.ratios,
+        }
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+export type Temperament =
+  | "equal"
+  | "just"
+  | "pythagorean"
+  | "meantone"
+  | "werckmeister-iii";
+
+/**
+ * What the keyboard is tuned to, see `buildTuning` in public/tuning.js.
+ */
+export interface TuningSettings {
+  temperament: Temperament | "scala";
+  // pitch class (0 = C) the tonic is on, when there is no .kbm file
+  root: number;
+  // Hz of A4, when there is no .kbm file
+  referenceFrequency: number;
+  // Scala file contents
+  scl?: string;
+  kbm?: string;
+}
+
+export interface TuningError {
+  // which imported file the error is in, if any
+  file: "scl" | "kbm" | "";
+  // 1-based, or 0 for the file as a whole
+  line: number;
+  message: string;
+}
+
+export type TuningResult =
+  | { ok: true; description: string; frequencies: Float64Array }
+  | { ok: false; errors: TuningError[] };
+
+/**
+ * Parse imported Scala files and work out the frequency of every MIDI note.
+ * Never rejects: failures come back as errors.
+ */
+export async function buildTuning(
+  settings: TuningSettings
+): Promise<TuningResult> {
+  try {
+    return await request<TuningResult>({ type: "tuning", settings });
+  } catch (e) {
+    return {
+      ok: false,
+      errors: [
+        {
+          file: "",
+          line: 0,
+          message: e instanceof Error ? e.message : String(e),
+        },
+      ],
+    };
+  }
+}
+
+// Matches PartRouting in public/nxo-engine.js
+export type PartRouting =
+  | { mode: "channel" }
+  | { mode: "zones"; zones: { part: number; low: number; high: number }[] };
+
+/**
+ * Synth settings an offline render copies, so it sounds like the live synth.
+ */
+export interface RenderSettings {
+  routing: PartRouting;
+  // frequency of each MIDI note; equal temperament when null
+  tuning: Float64Array | null;
+  pitchBendRange: number;
+  output: OutputSettings;
+}
+
+export interface RenderedAudio {
+  left: Float32Array;
+  right: Float32Array;
+  sampleRate: number;
+}
+
+export type RenderResult =
+  { ok: true; audio: RenderedAudio } | { ok: false; error: string };
+
+interface RenderNote {
+  note: number;
+  time: number;
+  duration: number;
+  velocity: number;
+  channel: number;
+}
+
+// Notes and controller moves in the shape `renderNXO` takes them. A note-on pairs with the
+// next note-off of its key; keys still down at the end are held to it.
+function sequenceToRenderEvents({ events, duration }: MidiSequence) {
+  const notes: RenderNote[] = [];
+  const controllers: MidiSequence["events"] = [];
+  const held = new Map<string, RenderNote>();
+  for (const event of events) {
+    if (event.type === "noteOn" || event.type === "noteOff") {
+      const id = `${event.channel}:${event.note}`;
+      // a note-off, or a repeated note-on, ends the note held on the key
+      const previous = held.get(id);
+      if (previous) previous.duration = event.time - previous.time;
+      held.delete(id);
+      if (event.type === "noteOn") {
+        const { note, time, velocity, channel } = event;
+        const started = { note, time, duration: 0, velocity, channel };
+        held.set(id, started);
+        notes.push(started);
+      }
+    } else {
+      controllers.push(event);
+    }
+  }
+  for (const note of held.values()) {
+    note.duration = Math.max(duration - note.time, 0);
+  }
+  return { notes, controllers };
+}
+
+/**
+ * Render a take through the given presets (by part, null where a part has none) faster than
+ * realtime. Each render gets a worker of its own, so it never holds up preset compiles.
+ * Never rejects: failures come back as an error message.
+ */
+export async function renderTake(
+  presets: (NXOPreset | null)[],
+  take: MidiSequence,
+  { routing, tuning, pitchBendRange, output }: RenderSettings
+): Promise<RenderResult> {
+  const { compressor, mode, ...rest } = output;
+  const { enabled, ...compressorParams } = compressor;
+  const { notes, controllers } = sequenceToRenderEvents(take);
+  const renderer = new Worker("/nxo-worker.js", { type: "module" });
+  try {
+    const reply = await new Promise<
+      ({ ok: true } & RenderedAudio) | { ok: false; errors: PresetFieldError[] }
+    >((resolve, reject) => {
+      const timer = setTimeout(
+        () =>
+          reject(new Error(`Timed out after ${RENDER_TIMEOUT_MS / 1000} s`)),
+        RENDER_TIMEOUT_MS
+      );
+      renderer.onmessage = (event) => {
+        clearTimeout(timer);
+        resolve(event.data);
+      };
+      renderer.onerror = (event) => {
+        clearTimeout(timer);
+        reject(new Error(event.message || "Render failed"));
+      };
+      renderer.postMessage({
+        id: 0,
+        type: "render",
+        presets,
+        notes,
+        options: {
+          ...rest,
+          routing,
+          tuning: tuning ?? undefined,
+          pitchBendRange,
+          compressor: enabled ? compressorParams : undefined,
+          outputMode: mode,
+          controllers,
+        },
+      });
+    });
+    if (!reply.ok) {
+      return { ok: false, error: formatPresetErrors(reply.errors) };
+    }
+    const { left, right, sampleRate } = reply;
+    return { ok: true, audio: { left, right, sampleRate } };
+  } catch (e) {
+    return { ok: false, error: e instanceof Error ? e.message : String(e) };
+  } finally {
+    renderer.terminate();
+  }
+}
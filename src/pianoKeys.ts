@@ -0,0 +1,82 @@
+// The on-screen piano, the computer keyboard and MIDI input all name keys by MIDI note number.
+// What a key sounds is `keyToNote` of it, so transposing moves every input the same way and
+// highlighting can keep showing the keys that were actually pressed.
+
+// A full piano runs from A0 to C8
+export const LOWEST_KEY = 21;
+export const HIGHEST_KEY = 108;
+export const MIDDLE_C = 60;
+
+const BLACK_PITCH_CLASSES = [1, 3, 6, 8, 10];
+
+const NOTE_NAMES = [
+  "C",
+  "C♯",
+  "D",
+  "D♯",
+  "E",
+  "F",
+  "F♯",
+  "G",
+  "G♯",
+  "A",
+  "A♯",
+  "B",
+];
+
+export interface KeyMapping {
+  // semitones added to every key before it reaches the synth
+  transpose: number;
+}
+
+export const MIN_TRANSPOSE = -48;
+export const MAX_TRANSPOSE = 48;
+
+export function isBlackKey(key: number): boolean {
+  return BLACK_PITCH_CLASSES.includes(((key % 12) + 12) % 12);
+}
+
+/**
+ * Name and octave of a MIDI note, e.g. "C4" for middle C.
+ */
+export function noteName(note: number): string {
+  return `${NOTE_NAMES[((note % 12) + 12) % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+/**
+ * The note a key sounds, or null when transposing pushes it off the MIDI range.
+ */
+export function keyToNote(key: number, { transpose }: KeyMapping) {
+  const note = key + transpose;
+  return note >= 0 && note <= 127 ? note : null;
+}
+
+/**
+ * The key that sounds `note`; it may lie off the piano.
+ */
+export function noteToKey(note: number, { transpose }: KeyMapping) {
+  return note - transpose;
+}
+
+export interface PianoKey {
+  key: number;
+  black: boolean;
+  // white keys to the left of this key's left edge (white) or its center (black)
+  position: number;
+}
+
+export const PIANO_KEYS: PianoKey[] = [];
+for (let key = LOWEST_KEY, whites = 0; key <= HIGHEST_KEY; key++) {
+  const black = isBlackKey(key);
+  PIANO_KEYS.push({ key, black, position: whites });
+  if (!black) whites++;
+}
+
+export const WHITE_KEY_COUNT = PIANO_KEYS.filter((k) => !k.black).length;
+
+/**
+ * Horizontal position of a key in white-key widths from the piano's left edge, for keys on the piano.
+ */
+export function keyPosition(key: number): number | null {
+  return PIANO_KEYS[key - LOWEST_KEY]?.position ?? null;
+}
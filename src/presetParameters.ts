@@ -0,0 +1,122 @@
+import { cloneDeep, set } from "lodash";
+import type { NXOPreset } from "./nxoPreset";
+
+/**
+ * A numeric preset field that a MIDI controller can sweep.
+ */
+export interface PresetParameter {
+  // field names from the preset down, e.g. ["harmonics", "2.76", "amplitude"]; kept as
+  // segments because harmonic keys can themselves contain dots
+  path: string[];
+  label: string;
+  min: number;
+  max: number;
+  // swept exponentially, for frequencies and times where the low end needs the resolution
+  log?: boolean;
+}
+
+// Bounds match the validator in public/nxo-preset.js, narrowed to a useful sweep
+// where it only sets a floor
+const PRESET_PARAMETERS: PresetParameter[] = [
+  { path: ["gain"], label: "gain", min: 0, max: 4 },
+  { path: ["stereo", "pan"], label: "pan", min: -1, max: 1 },
+  { path: ["stereo", "keyFollow"], label: "pan key follow", min: -1, max: 1 },
+  { path: ["stereo", "spread"], label: "partial spread", min: 0, max: 1 },
+  { path: ["stereo", "width"], label: "stereo width", min: 0, max: 1 },
+  {
+    path: ["effects", "chorus", "rate"],
+    label: "chorus rate",
+    min: 0.05,
+    max: 10,
+    log: true,
+  },
+  {
+    path: ["effects", "chorus", "depth"],
+    label: "chorus depth",
+    min: 0,
+    max: 0.01,
+  },
+  { path: ["effects", "chorus", "mix"], label: "chorus mix", min: 0, max: 1 },
+  {
+    path: ["effects", "delay", "time"],
+    label: "delay time",
+    min: 0.01,
+    max: 2,
+    log: true,
+  },
+  {
+    path: ["effects", "delay", "feedback"],
+    label: "delay feedback",
+    min: 0,
+    max: 0.98,
+  },
+  {
+    path: ["effects", "delay", "damping"],
+    label: "delay damping",
+    min: 0,
+    max: 1,
+  },
+  { path: ["effects", "delay", "mix"], label: "delay mix", min: 0, max: 1 },
+  { path: ["effects", "reverb", "size"], label: "reverb size", min: 0, max: 1 },
+  {
+    path: ["effects", "reverb", "damping"],
+    label: "reverb damping",
+    min: 0,
+    max: 1,
+  },
+  {
+    path: ["effects", "reverb", "preDelay"],
+    label: "reverb pre-delay",
+    min: 0,
+    max: 0.2,
+  },
+  { path: ["effects", "reverb", "mix"], label: "reverb mix", min: 0, max: 1 },
+];
+
+// Same ranges as the harmonic editor's sliders
+const HARMONIC_PARAMETERS: Omit<PresetParameter, "path">[] = [
+  { label: "amplitude", min: 0, max: 1 },
+  { label: "attack", min: 0.001, max: 2, log: true },
+  { label: "decay", min: 0.001, max: 4, log: true },
+  { label: "sustain", min: 0, max: 1 },
+  { label: "release", min: 0.001, max: 4, log: true },
+];
+
+/**
+ * Everything in `preset` a controller can be bound to: the preset-wide fields, then each
+ * harmonic's envelope in harmonic order.
+ */
+export function listParameters(preset: NXOPreset): PresetParameter[] {
+  const harmonics = Object.keys(preset.harmonics).sort(
+    (a, b) => Number(a) - Number(b)
+  );
+  return [
+    ...PRESET_PARAMETERS,
+    ...harmonics.flatMap((key) =>
+      HARMONIC_PARAMETERS.map((parameter) => ({
+        ...parameter,
+        path: ["harmonics", key, parameter.label],
+        label: `harmonic ${key} ${parameter.label}`,
+      }))
+    ),
+  ];
+}
+
+export function samePath(a: string[], b: string[]): boolean {
+  return a.length === b.length && a.every((segment, i) => segment === b[i]);
+}
+
+/**
+ * A copy of `preset` with `parameter` swept to `position` (0 at its minimum, 1 at its maximum).
+ * Setting a field of an effect the preset lacks adds that effect.
+ */
+export function setParameter(
+  preset: NXOPreset,
+  { path, min, max, log }: PresetParameter,
+  position: number
+): NXOPreset {
+  const value = log
+    ? min * Math.pow(max / min, position)
+    : min + position * (max - min);
+  return set(cloneDeep(preset), path, Number(value.toPrecision(4)));
+}
@@ -0,0 +1,47 @@
+/**
+ * Encodes a stereo render as a 16-bit PCM WAV file.
+ */
+export function encodeWav(
+  left: Float32Array,
+  right: Float32Array,
+  sampleRate: number
+): Blob {
+  const channels = 2;
+  const bytesPerSample = 2;
+  const dataSize = left.length * channels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const text = (offset: number, value: string) => {
+    for (let i = 0; i < value.length; i++) {
+      view.setUint8(offset + i, value.charCodeAt(i));
+    }
+  };
+
+  text(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  text(8, "WAVE");
+  text(12, "fmt ");
+  view.setUint32(16, 16, true);
+  // PCM
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  text(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const sample = (offset: number, value: number) =>
+    view.setInt16(
+      offset,
+      Math.round(Math.min(Math.max(value, -1), 1) * 0x7fff),
+      true
+    );
+  // interleaved frames
+  for (let i = 0; i < left.length; i++) {
+    const offset = 44 + i * channels * bytesPerSample;
+    sample(offset, left[i]);
+    sample(offset + bytesPerSample, right[i]);
+  }
+  return new Blob([view.buffer], { type: "audio/wav" });
+}